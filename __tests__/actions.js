@@ -0,0 +1,162 @@
+import { Input, keyboard, gamepad, gamepadButtons } from '../lib/input.js'
+import { ActionMap, actions, pressedSource } from '../lib/actions.js'
+
+function keys(...down) {
+    return { code: { down: Object.fromEntries(down.map(k => [k, true])), pressed: {}, released: {} } }
+}
+
+function pad({ down = [], left = { x: 0, y: 0 }, right = { x: 0, y: 0 }, triggers = { left: 0, right: 0 }, pressed = [] } = {}) {
+    const flags = names => Object.fromEntries(names.map(n => [n, true]))
+    return { primary: { sticks: { left, right }, triggers, buttons: { down: flags(down), pressed: flags(pressed), released: {} } } }
+}
+
+const move = {
+    type: 'vector',
+    bindings: [
+        { up: 'key:KeyW', left: 'key:KeyA', down: 'key:KeyS', right: 'key:KeyD' },
+        { x: 'pad:leftX', y: 'pad:leftY' }
+    ]
+}
+
+test('button actions have edges and combine bindings', () => {
+    const map = new ActionMap({ gameplay: { jump: ['key:Space', 'pad:a'] } })
+    let last = map.read({ keyboard: keys('Space') })
+    expect(last.jump).toStrictEqual({ down: true, pressed: true, released: false, value: 1 })
+    last = map.read({ keyboard: keys(), gamepad: pad({ down: ['a'] }) }, last)
+    expect(last.jump).toStrictEqual({ down: true, pressed: false, released: false, value: 1 })
+    last = map.read({ keyboard: keys() }, last)
+    expect(last.jump).toStrictEqual({ down: false, pressed: false, released: true, value: 0 })
+})
+
+test('analog sources drive buttons past the threshold', () => {
+    const map = new ActionMap({ gameplay: { fire: ['pad:rightTrigger'] } }, { threshold: 0.3 })
+    expect(map.read({ gamepad: pad({ triggers: { left: 0, right: 0.2 } }) }).fire.down).toBe(false)
+    expect(map.read({ gamepad: pad({ triggers: { left: 0, right: 0.4 } }) }).fire).toStrictEqual({ down: true, pressed: true, released: false, value: 0.4 })
+})
+
+test('stick axes press buttons in their positive direction only', () => {
+    const map = new ActionMap({ gameplay: { right: ['pad:leftX'], left: ['-pad:leftX'] } })
+    const pushed = map.read({ gamepad: pad({ left: { x: -1, y: 0 } }) })
+    expect(pushed.right).toStrictEqual({ down: false, pressed: false, released: false, value: 0 })
+    expect(pushed.left.down).toBe(true)
+})
+
+test('axis actions take the binding pushed furthest', () => {
+    const map = new ActionMap({ flight: { throttle: { type: 'axis', bindings: [{ negative: 'key:KeyS', positive: 'key:KeyW' }, '-pad:leftY'] } } })
+    expect(map.read({ keyboard: keys('KeyW') }).throttle).toBe(1)
+    expect(map.read({ keyboard: keys('KeyS'), gamepad: pad({ left: { x: 0, y: -0.5 } }) }).throttle).toBe(-1)
+    expect(map.read({ keyboard: keys(), gamepad: pad({ left: { x: 0, y: -0.5 } }) }).throttle).toBe(0.5)
+    expect(map.read({ keyboard: keys(), gamepad: pad({ left: { x: 0, y: 0.5 } }) }).throttle).toBe(0)
+})
+
+test('vector actions compose keys and normalize diagonals', () => {
+    const map = new ActionMap({ gameplay: { move } })
+    expect(map.read({ keyboard: keys('KeyD') }).move).toStrictEqual({ x: 1, y: 0 })
+    const diagonal = map.read({ keyboard: keys('KeyW', 'KeyA') }).move
+    expect(diagonal.x).toBeCloseTo(-Math.SQRT1_2)
+    expect(diagonal.y).toBeCloseTo(-Math.SQRT1_2)
+    expect(map.read({ keyboard: keys(), gamepad: pad({ left: { x: 0.3, y: 0.4 } }) }).move).toStrictEqual({ x: 0.3, y: 0.4 })
+    expect(map.read({}).move).toStrictEqual({ x: 0, y: 0 })
+})
+
+test('disabled contexts report nothing pressed', () => {
+    const map = new ActionMap({
+        gameplay: { jump: ['key:Space'], move },
+        menu: { select: ['key:Space'] }
+    }, { enabled: ['gameplay'] })
+    let last = map.read({ keyboard: keys('Space', 'KeyD') })
+    expect(last.jump.down).toBe(true)
+    expect(last.select.down).toBe(false)
+    map.disable('gameplay').enable('menu')
+    expect(map.isEnabled('gameplay')).toBe(false)
+    last = map.read({ keyboard: keys('Space', 'KeyD') }, last)
+    expect(last.jump).toStrictEqual({ down: false, pressed: false, released: true, value: 0 })
+    expect(last.move).toStrictEqual({ x: 0, y: 0 })
+    expect(last.select.pressed).toBe(true)
+    expect(() => map.enable('cutscene')).toThrow('unknown context')
+})
+
+test('the most recently enabled context wins', () => {
+    const map = new ActionMap({
+        walking: { use: ['key:KeyE'] },
+        driving: { use: ['key:KeyF'] }
+    })
+    expect(map.enabled).toStrictEqual(['walking', 'driving'])
+    expect(map.read({ keyboard: keys('KeyF') }).use.down).toBe(true)
+    map.enable('walking')
+    expect(map.read({ keyboard: keys('KeyF') }).use.down).toBe(false)
+    expect(map.read({ keyboard: keys('KeyE') }).use.down).toBe(true)
+})
+
+test('actions can be rebound at runtime', () => {
+    const map = new ActionMap({ gameplay: { jump: ['key:Space'] } })
+    map.rebind('gameplay', 'jump', 0, 'key:KeyJ')
+    map.bind('gameplay', 'jump', 'pad:a')
+    map.rebind('gameplay', 'jump', 5, 'mouse:0')
+    expect(map.bindings('gameplay', 'jump')).toStrictEqual(['key:KeyJ', 'pad:a', 'mouse:0'])
+    expect(map.read({ keyboard: keys('Space') }).jump.down).toBe(false)
+    expect(map.read({ keyboard: keys('KeyJ') }).jump.down).toBe(true)
+    expect(map.unbind('gameplay', 'jump', 'pad:a')).toBe(true)
+    expect(map.unbind('gameplay', 'jump', 'pad:a')).toBe(false)
+    expect(map.read({ gamepad: pad({ down: ['a'] }) }).jump.down).toBe(false)
+    expect(map.read({ pointer: { primary: { buttons: { down: { 0: true } } } } }).jump.down).toBe(true)
+    map.define('gameplay', 'move', move)
+    expect(map.unbind('gameplay', 'move', { x: 'pad:leftX', y: 'pad:leftY' })).toBe(true)
+    expect(map.bindings('gameplay', 'move').length).toBe(1)
+})
+
+test('invalid bindings are rejected', () => {
+    const map = new ActionMap({ gameplay: { jump: ['key:Space'], move } })
+    expect(() => map.bind('gameplay', 'jump', 'joystick:1')).toThrow('unknown binding source')
+    expect(() => map.bind('gameplay', 'jump', 'pad:z')).toThrow('unknown binding source')
+    expect(() => map.bind('gameplay', 'move', 'pad:leftX')).toThrow('composite')
+    expect(() => map.bind('gameplay', 'move', { forward: 'key:KeyW' })).toThrow('invalid binding')
+    expect(() => map.bind('gameplay', 'crouch', 'key:KeyC')).toThrow('unknown action')
+    expect(() => new ActionMap({ gameplay: { look: { type: 'quaternion', bindings: [] } } })).toThrow('unknown action type')
+})
+
+test('maps are saved and loaded as JSON', () => {
+    const map = new ActionMap({
+        gameplay: { jump: ['key:Space'], move },
+        menu: { select: ['key:Enter'] }
+    }, { enabled: ['menu'] })
+    map.rebind('gameplay', 'jump', 0, 'pad:b')
+    const loaded = ActionMap.fromJSON(JSON.stringify(map))
+    expect(loaded.toJSON()).toStrictEqual(map.toJSON())
+    expect(loaded.isEnabled('gameplay')).toBe(false)
+    expect(loaded.bindings('gameplay', 'jump')).toStrictEqual(['pad:b'])
+    expect(ActionMap.fromJSON(map.toJSON(), { enabled: ['gameplay'] }).enabled).toStrictEqual(['gameplay'])
+})
+
+test('pressedSource finds what to bind', () => {
+    expect(pressedSource({})).toBe(null)
+    expect(pressedSource({ keyboard: { code: { down: {}, pressed: { KeyQ: true }, released: {} } } })).toBe('key:KeyQ')
+    expect(pressedSource({ pointer: { primary: { buttons: { pressed: { 2: true } } } } })).toBe('mouse:2')
+    expect(pressedSource({ gamepad: pad({ pressed: ['x'] }) })).toBe('pad:x')
+    expect(pressedSource({ gamepad: pad({ right: { x: 0, y: -0.8 } }) })).toBe('-pad:rightY')
+    expect(pressedSource({ gamepad: pad({ right: { x: 0, y: -0.4 } }) })).toBe(null)
+})
+
+test('actions run as an input stage', () => {
+    const listeners = {}
+    const target = {
+        addEventListener: (type, f) => { listeners[type] = f },
+        removeEventListener: () => {}
+    }
+    const pads = [{
+        index: 0, id: 'pad', mapping: 'standard', connected: true, axes: [0, 0, 0, 0],
+        buttons: gamepadButtons.map(() => ({ pressed: false, value: 0 }))
+    }]
+    const map = new ActionMap({ gameplay: { jump: ['key:Space', 'pad:a'] } })
+    const input = new Input([keyboard(target), gamepad({ getGamepads: () => pads }), actions(map)])
+    listeners.keydown({ type: 'keydown', code: 'Space', key: ' ', repeat: false })
+    input.collect()
+    expect(input.now.actions.jump.pressed).toBe(true)
+    listeners.keyup({ type: 'keyup', code: 'Space', key: ' ', repeat: false })
+    pads[0].buttons[0] = { pressed: true, value: 1 }
+    input.collect()
+    expect(input.now.actions.jump).toStrictEqual({ down: true, pressed: false, released: false, value: 1 })
+    pads[0].buttons[0] = { pressed: false, value: 0 }
+    input.collect()
+    expect(input.now.actions.jump.released).toBe(true)
+})
@@ -0,0 +1,188 @@
+import * as coro from '../lib/coroutines.js'
+import { virtualSchedule } from './helpers/schedule.js'
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+async function tickAndFlush(sched, n = 1) {
+    for (let i = 0; i < n; i++) {
+        sched.tick()
+        await flush()
+    }
+}
+
+test('Schedule.add accepts async generator functions', async () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const task = sched.add(async function* loader() {
+        value.push(1)
+        yield
+        value.push(2)
+        yield
+        value.push(3)
+        return 'done'
+    })
+    expect(task.name).toBe('loader')
+    await tickAndFlush(sched)
+    expect(value).toStrictEqual([1])
+    await tickAndFlush(sched)
+    expect(value).toStrictEqual([1, 2])
+    await tickAndFlush(sched, 2)
+    expect(value).toStrictEqual([1, 2, 3])
+    expect(task.isDone).toBe(true)
+    expect(task.result).toBe('done')
+    expect(sched.size).toBe(0)
+})
+
+test('async coroutines resume once per tick', async () => {
+    let value = 0
+    const sched = new coro.Schedule()
+    sched.add(async function* () {
+        while(true) {
+            value++
+            yield
+        }
+    })
+    await tickAndFlush(sched, 5)
+    expect(value).toBe(5)
+})
+
+test('async coroutines wait for their awaits', async () => {
+    let value = []
+    let resolve
+    const sched = new coro.Schedule()
+    sched.add(async function* () {
+        value.push(await new Promise(r => resolve = r))
+        yield
+        value.push('after')
+    })
+    await tickAndFlush(sched, 3)
+    expect(value).toStrictEqual([])
+    resolve('loaded')
+    await tickAndFlush(sched)
+    expect(value).toStrictEqual(['loaded'])
+    await tickAndFlush(sched, 2)
+    expect(value).toStrictEqual(['loaded', 'after'])
+})
+
+test('async coroutines can yield instructions', async () => {
+    let value = []
+    const { sched, step } = virtualSchedule()
+    sched.add(async function* () {
+        yield 1
+        value.push('waited')
+        value.push(yield function* () { yield; return 'coroutine' }())
+    })
+    await tickAndFlush(sched, 3)
+    expect(value).toStrictEqual([])
+    step(1)
+    await flush()
+    await tickAndFlush(sched, 5)
+    expect(value).toStrictEqual(['waited', 'coroutine'])
+})
+
+test('async coroutines run as their task again after a yield', async () => {
+    let value = []
+    const { sched, step } = virtualSchedule()
+    const steps = async n => { for (let i = 0; i < n; i++) { step(1); await flush() } }
+    const task = sched.add(async function* () {
+        await null
+        value.push(coro.currentTask())
+        yield coro.seconds(10)
+        value.push(coro.currentTask() === task)
+        coro.spawn(function* () { value.push('child'); yield })
+        yield* coro.seconds(10)
+        value.push('done')
+    })
+    await steps(11)
+    expect(value).toStrictEqual([null])
+    await steps(2)
+    expect(value).toStrictEqual([null, true, 'child'])
+    await steps(8)
+    expect(value).toStrictEqual([null, true, 'child'])
+    await steps(1)
+    expect(value).toStrictEqual([null, true, 'child', 'done'])
+    await steps(1)
+    expect(task.isDone).toBe(true)
+})
+
+test('errors in async coroutines finish the task', async () => {
+    const sched = new coro.Schedule()
+    const task = sched.add(async function* () {
+        yield
+        throw 'error'
+    })
+    await tickAndFlush(sched, 2)
+    expect(() => sched.tick()).toThrow('error')
+    expect(task.isDone).toBe(true)
+    expect(task.error).toBe('error')
+    expect(sched.size).toBe(0)
+})
+
+test('cancelling async coroutines runs their finally clauses', async () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const generator = (async function* () {
+        try {
+            while(true) yield
+        } finally {
+            value.push('finally')
+        }
+    })()
+    const task = sched.add(generator)
+    await tickAndFlush(sched, 2)
+    expect(sched.find(generator)).toBe(task)
+    sched.remove(generator)
+    expect(task.isCancelled).toBe(true)
+    await flush()
+    expect(value).toStrictEqual(['finally'])
+})
+
+test('combinators accept async coroutines', async () => {
+    let value = []
+    const sched = new coro.Schedule()
+    sched.add(function* () {
+        yield* coro.all(
+            async function* () { yield; value.push('a') },
+            async function* () { value.push(await Promise.resolve('b')) })
+        value.push(yield (async function* () { return 'c' })())
+    })
+    await tickAndFlush(sched, 6)
+    expect(value).toStrictEqual(['b', 'a', 'c'])
+})
+
+test('errors thrown while cancelling async coroutines go to the error policy', async () => {
+    let value = []
+    const sched = new coro.Schedule({ errorPolicy: (e, t) => value.push([e, t]) })
+    const task = sched.add(async function* () {
+        try { while(true) yield } finally { throw 'cleanup' }
+    })
+    await tickAndFlush(sched, 2)
+    task.cancel()
+    await flush()
+    expect(value).toStrictEqual([['cleanup', task]])
+    expect(task.error).toBe('cleanup')
+})
+
+test('errors thrown while cancelling async coroutines are rethrown by the next tick', async () => {
+    const sched = new coro.Schedule()
+    const task = sched.add(async function* () {
+        try { while(true) yield } finally { throw 'cleanup' }
+    })
+    await tickAndFlush(sched, 2)
+    task.cancel()
+    await flush()
+    expect(() => sched.tick()).toThrow('cleanup')
+    sched.tick()
+})
+
+test('errors thrown while removing async coroutines from a PooledSchedule go to its error policy', async () => {
+    let value = []
+    const sched = new coro.PooledSchedule({ errorPolicy: (e, c) => value.push([e, c]) })
+    const generator = sched.add(async function* () {
+        try { while(true) yield } finally { throw 'cleanup' }
+    })
+    await tickAndFlush(sched, 2)
+    sched.remove(generator)
+    await flush()
+    expect(value).toStrictEqual([['cleanup', generator]])
+})
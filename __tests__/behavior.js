@@ -0,0 +1,146 @@
+import * as coro from '../lib/coroutines.js'
+import * as bt from '../lib/behavior.js'
+import { virtualSchedule } from './helpers/schedule.js'
+
+function run(node, blackboard = new bt.Blackboard(), ticks = 100) {
+    const sched = new coro.Schedule()
+    const task = sched.add(node(blackboard))
+    for (let i = 0; i < ticks && !task.isDone; i++)
+        sched.tick()
+    return task
+}
+
+function leaf(log, name, result, frames = 0) {
+    return bt.action(function* () {
+        log.push(name)
+        yield* coro.frames(frames)
+        return result
+    })
+}
+
+test('blackboards store values', () => {
+    const blackboard = new bt.Blackboard({ a: 1 })
+    expect(blackboard.get('a')).toBe(1)
+    expect(blackboard.get('b', 'fallback')).toBe('fallback')
+    expect(blackboard.set('b', 2).get('b')).toBe(2)
+    expect(blackboard.has('b')).toBe(true)
+    expect(blackboard.delete('b')).toBe(true)
+    expect(blackboard.has('b')).toBe(false)
+})
+
+test('actions succeed unless they return false', () => {
+    expect(run(bt.action(() => {})).result).toBe(true)
+    expect(run(bt.action(() => false)).result).toBe(false)
+    expect(run(bt.action(function* () { yield })).result).toBe(true)
+    expect(run(bt.action(function* () { yield; return false })).result).toBe(false)
+})
+
+test('conditions check the blackboard', () => {
+    const blackboard = new bt.Blackboard({ target: null, health: 5 })
+    expect(run(bt.condition('target'), blackboard).result).toBe(false)
+    expect(run(bt.condition(b => b.get('health') < 10), blackboard).result).toBe(true)
+})
+
+test('sequence stops at the first failure', () => {
+    let log = []
+    const task = run(bt.sequence(leaf(log, 'a', true, 1), leaf(log, 'b', false), leaf(log, 'c', true)))
+    expect(task.result).toBe(false)
+    expect(log).toStrictEqual(['a', 'b'])
+    log = []
+    expect(run(bt.sequence(leaf(log, 'a', true), leaf(log, 'b', true))).result).toBe(true)
+})
+
+test('selector stops at the first success', () => {
+    let log = []
+    const task = run(bt.selector(leaf(log, 'a', false), leaf(log, 'b', true, 1), leaf(log, 'c', true)))
+    expect(task.result).toBe(true)
+    expect(log).toStrictEqual(['a', 'b'])
+    expect(run(bt.selector(leaf(log, 'x', false))).result).toBe(false)
+})
+
+test('parallel waits for the required successes', () => {
+    let log = []
+    const all = run(bt.parallel([leaf(log, 'a', true, 1), leaf(log, 'b', true, 3)]))
+    expect(all.result).toBe(true)
+    expect(all.age).toBe(4)
+    const one = run(bt.parallel([leaf(log, 'a', true, 1), leaf(log, 'b', true, 3)], { successes: 1 }))
+    expect(one.result).toBe(true)
+    expect(one.age).toBe(2)
+})
+
+test('parallel fails once enough successes are impossible and cancels the rest', () => {
+    let value = []
+    const slow = bt.action(function* () {
+        try { while(true) yield } finally { value.push('cancelled') }
+    })
+    const task = run(bt.parallel([slow, leaf([], 'fail', false, 1)]))
+    expect(task.result).toBe(false)
+    expect(value).toStrictEqual(['cancelled'])
+})
+
+test('parallel children can yield instructions', () => {
+    const { sched, step } = virtualSchedule()
+    const task = sched.add(bt.parallel([bt.wait(1), bt.action(function* () { yield 2 })])(new bt.Blackboard()))
+    step(0)
+    step(1.5)
+    expect(task.isDone).toBe(false)
+    step(0.5)
+    expect(task.result).toBe(true)
+})
+
+test('inverter flips results', () => {
+    expect(run(bt.inverter(bt.action(() => false))).result).toBe(true)
+    expect(run(bt.inverter(bt.action(() => true))).result).toBe(false)
+})
+
+test('repeat runs a node several times, a frame apart', () => {
+    let log = []
+    const task = run(bt.repeat(leaf(log, 'a', true), 3))
+    expect(task.result).toBe(true)
+    expect(log).toStrictEqual(['a', 'a', 'a'])
+    expect(task.age).toBe(3)
+    let n = 0
+    expect(run(bt.repeat(bt.action(() => ++n < 5))).result).toBe(false)
+    expect(n).toBe(5)
+})
+
+test('cooldown fails until its time has passed, per blackboard', () => {
+    let time = 0
+    let log = []
+    const node = bt.cooldown(leaf(log, 'a', true), 2, () => time)
+    const a = new bt.Blackboard()
+    const b = new bt.Blackboard()
+    expect(run(node, a).result).toBe(true)
+    expect(run(node, a).result).toBe(false)
+    expect(run(node, b).result).toBe(true)
+    time = 2
+    expect(run(node, a).result).toBe(true)
+    expect(log).toStrictEqual(['a', 'a', 'a'])
+})
+
+test('timeout fails slow nodes', () => {
+    let time = 0
+    const sched = new coro.Schedule()
+    const slow = bt.action(function* () { while(true) yield })
+    const task = sched.add(bt.timeout(slow, 1, () => time)(new bt.Blackboard()))
+    sched.tick()
+    time = 1
+    sched.tick()
+    expect(task.result).toBe(false)
+    expect(run(bt.timeout(bt.action(() => true), 1, () => 0)).result).toBe(true)
+})
+
+test('trees combine nodes and share a blackboard', () => {
+    const blackboard = new bt.Blackboard({ enemies: ['orc'] })
+    let log = []
+    const tree = bt.selector(
+        bt.sequence(
+            bt.condition(b => b.get('enemies').length > 0),
+            bt.action(b => { b.set('target', b.get('enemies')[0]) }),
+            bt.action(b => { log.push(`attack ${b.get('target')}`) })),
+        bt.action(() => { log.push('patrol') }))
+    run(tree, blackboard)
+    blackboard.set('enemies', [])
+    run(tree, blackboard)
+    expect(log).toStrictEqual(['attack orc', 'patrol'])
+})
@@ -0,0 +1,178 @@
+import * as coro from '../lib/coroutines.js'
+
+function setup(budget) {
+    const clock = { time: 0 }
+    const sched = new coro.BudgetedSchedule({ budget, now: () => clock.time })
+    return { clock, sched }
+}
+
+test('tick resumes work until the budget is spent', () => {
+    const { clock, sched } = setup(5)
+    let chunks = 0
+    const task = sched.add(function* job() {
+        for (let i = 0; i < 12; i++) {
+            clock.time += 1
+            chunks++
+            yield
+        }
+    })
+    sched.tick()
+    expect(chunks).toBe(5)
+    sched.tick()
+    expect(chunks).toBe(10)
+    sched.tick()
+    expect(chunks).toBe(12)
+    expect(task.isDone).toBe(true)
+    expect(sched.size).toBe(0)
+})
+
+test('tick takes an explicit budget', () => {
+    const { clock, sched } = setup(5)
+    let chunks = 0
+    sched.add(function* () { while(true) { clock.time += 1; chunks++; yield } })
+    sched.tick(2)
+    expect(chunks).toBe(2)
+    sched.tick()
+    expect(chunks).toBe(7)
+})
+
+test('work is rotated fairly across ticks', () => {
+    const { clock, sched } = setup(2)
+    let value = []
+    function* job(name) {
+        while(true) {
+            clock.time += 1
+            value.push(name)
+            yield
+        }
+    }
+    sched.add(job('a'))
+    sched.add(job('b'))
+    sched.add(job('c'))
+    sched.tick()
+    expect(value).toStrictEqual(['a', 'b'])
+    sched.tick()
+    expect(value).toStrictEqual(['a', 'b', 'c', 'a'])
+    sched.tick()
+    expect(value).toStrictEqual(['a', 'b', 'c', 'a', 'b', 'c'])
+})
+
+test('every tick resumes at least one coroutine', () => {
+    const { clock, sched } = setup(0)
+    let value = 0
+    sched.add(function* () { while(true) { clock.time += 10; value++; yield } })
+    sched.tick()
+    sched.tick()
+    expect(value).toBe(2)
+})
+
+test('stats count deferred coroutines', () => {
+    const { clock, sched } = setup(2)
+    function* job() { while(true) { clock.time += 1; yield } }
+    sched.add(job)
+    sched.add(job)
+    sched.add(job)
+    sched.add(job)
+    sched.tick()
+    expect(sched.stats).toStrictEqual({ steps: 2, elapsed: 2, deferred: 2 })
+    sched.tick(10)
+    expect(sched.stats).toStrictEqual({ steps: 10, elapsed: 10, deferred: 0 })
+    expect(sched.totals).toStrictEqual({ steps: 12, elapsed: 12, deferred: 2, exhausted: 2 })
+})
+
+test('a round that resumes nothing ends the tick', () => {
+    const { sched } = setup(5)
+    let value = 0
+    sched.add(function* () {
+        value++
+        yield new Promise(() => {})
+    })
+    sched.tick()
+    sched.tick()
+    expect(value).toBe(1)
+    expect(sched.stats.steps).toBe(1)
+})
+
+test('coroutines added during a tick wait for the next tick', () => {
+    const { clock, sched } = setup(3)
+    let value = []
+    sched.add(function* () {
+        sched.add(function* () { while(true) { clock.time += 1; value.push('added'); yield } })
+        clock.time += 1
+        value.push('first')
+    })
+    sched.tick()
+    expect(value).toStrictEqual(['first'])
+    sched.tick()
+    expect(value).toStrictEqual(['first', 'added', 'added', 'added'])
+})
+
+test('removing coroutines mid tick keeps the rotation going', () => {
+    const { clock, sched } = setup(4)
+    let value = []
+    let b
+    sched.add(function* a() {
+        clock.time += 1
+        value.push('a')
+        yield
+        b.cancel()
+        while(true) {
+            clock.time += 1
+            value.push('a')
+            yield
+        }
+    })
+    b = sched.add(function* b() { while(true) { clock.time += 1; value.push('b'); yield } })
+    sched.add(function* c() { while(true) { clock.time += 1; value.push('c'); yield } })
+    sched.tick()
+    expect(value).toStrictEqual(['a', 'b', 'c', 'a'])
+    sched.tick()
+    expect(value).toStrictEqual(['a', 'b', 'c', 'a', 'c', 'a', 'c', 'a'])
+})
+
+test('errors are reported after the tick', () => {
+    const { clock, sched } = setup(3)
+    let value = 0
+    sched.add(function* () { yield; throw 'error' })
+    sched.add(function* () { while(true) { clock.time += 1; value++; yield } })
+    expect(() => sched.tick()).toThrow('error')
+    expect(value).toBe(3)
+    expect(sched.size).toBe(1)
+})
+
+test('waiting coroutines are resumed once per tick and leave the budget to work', () => {
+    const { clock, sched } = setup(5)
+    let chunks = 0
+    let waited = false
+    let framesWaited = 0
+    const waiter = sched.add(function* () {
+        yield* coro.seconds(10)
+        waited = true
+    })
+    sched.add(function* () {
+        yield* coro.frames(3)
+        framesWaited = sched.ticks
+    })
+    sched.add(function* job() { while(true) { clock.time += 1; chunks++; yield } })
+    sched.tick()
+    expect(chunks).toBe(5)
+    expect(sched.stats.steps).toBe(7)
+    expect(waiter.age).toBe(1)
+    sched.tick()
+    sched.tick()
+    sched.tick()
+    expect(waiter.age).toBe(4)
+    expect(framesWaited).toBe(4)
+    expect(waited).toBe(false)
+    expect(chunks).toBe(20)
+})
+
+test('waiting coroutines alone do not exhaust the budget', () => {
+    const { sched } = setup(4)
+    sched.add(function* () { yield* coro.seconds(10) })
+    sched.add(function* () { yield* coro.waitUntil(() => false) })
+    sched.tick()
+    sched.tick()
+    expect(sched.stats.steps).toBe(2)
+    expect(sched.totals.exhausted).toBe(0)
+})
@@ -0,0 +1,191 @@
+import * as coro from '../lib/coroutines.js'
+import { Channel, select, CLOSED } from '../lib/channels.js'
+
+test('unbuffered channels hand values from put to take', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const ch = new Channel()
+    sched.add(function* () {
+        for (const x of [1, 2])
+            value.push(['put', yield* ch.put(x)])
+    })
+    sched.add(function* () {
+        yield
+        value.push(['took', yield* ch.take()])
+        yield
+        value.push(['took', yield* ch.take()])
+    })
+    for (let i = 0; i < 6; i++)
+        sched.tick()
+    expect(value).toStrictEqual([['took', 1], ['put', true], ['took', 2], ['put', true]])
+    expect(sched.size).toBe(0)
+})
+
+test('take waits for a value', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const ch = new Channel()
+    sched.add(function* () { value.push(yield* ch.take()) })
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual([])
+    expect(ch.offer('a')).toBe(true)
+    sched.tick()
+    expect(value).toStrictEqual(['a'])
+})
+
+test('buffered channels only block puts when full', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const ch = new Channel(2)
+    sched.add(function* () {
+        for (const x of [1, 2, 3]) {
+            yield* ch.put(x)
+            value.push(`put ${x}`)
+        }
+    })
+    sched.tick()
+    expect(value).toStrictEqual(['put 1', 'put 2'])
+    expect(ch.length).toBe(2)
+    sched.tick()
+    expect(value).toStrictEqual(['put 1', 'put 2'])
+    sched.add(function* () { value.push(yield* ch.take()) })
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual(['put 1', 'put 2', 1, 'put 3'])
+    expect(ch.buffer).toStrictEqual([2, 3])
+})
+
+test('offer fails when nothing can accept the value', () => {
+    const ch = new Channel()
+    expect(ch.offer(1)).toBe(false)
+    const buffered = new Channel(1)
+    expect(buffered.offer(1)).toBe(true)
+    expect(buffered.offer(2)).toBe(false)
+})
+
+test('closing wakes waiting coroutines', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const ch = new Channel()
+    const full = new Channel()
+    sched.add(function* () { value.push(yield* ch.take()) })
+    sched.add(function* () { value.push(yield* full.put('x')) })
+    sched.tick()
+    ch.close()
+    full.close()
+    ch.close()
+    sched.tick()
+    expect(value).toStrictEqual([CLOSED, false])
+})
+
+test('buffered values can be taken after closing', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const ch = new Channel(3)
+    ch.offer(1)
+    ch.offer(2)
+    ch.close()
+    expect(ch.offer(3)).toBe(false)
+    sched.add(function* () {
+        let x
+        while((x = yield* ch.take()) !== CLOSED)
+            value.push(x)
+        value.push('closed')
+    })
+    sched.tick()
+    expect(value).toStrictEqual([1, 2, 'closed'])
+})
+
+test('select takes from the first ready channel', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const a = new Channel(1)
+    const b = new Channel(1)
+    b.offer('b')
+    a.offer('a')
+    sched.add(function* () {
+        value.push(yield* select([b, a]))
+        value.push(yield* select([b, a]))
+    })
+    sched.tick()
+    expect(value).toStrictEqual([
+        { index: 0, value: 'b', channel: b },
+        { index: 1, value: 'a', channel: a }
+    ])
+})
+
+test('select waits for any case and withdraws the others', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const a = new Channel()
+    const b = new Channel()
+    sched.add(function* () {
+        const { index, value: v } = yield* select([a, [b, 'sent']])
+        value.push([index, v])
+    })
+    sched.tick()
+    expect(a.takers.length).toBe(1)
+    expect(b.putters.length).toBe(1)
+    sched.add(function* () { value.push(yield* b.take()) })
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual(['sent', [1, true]])
+    expect(a.takers.length).toBe(0)
+    expect(a.offer('late')).toBe(false)
+})
+
+test('select with a default does not wait', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const ch = new Channel()
+    sched.add(function* () {
+        value.push(yield* select([ch], { default: 'nothing' }))
+    })
+    sched.tick()
+    expect(value).toStrictEqual([{ index: -1, value: 'nothing', channel: null }])
+})
+
+test('cancelled takes are withdrawn', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const ch = new Channel()
+    const task = sched.add(function* () { value.push(yield* ch.take()) })
+    sched.tick()
+    task.cancel()
+    expect(ch.takers.length).toBe(0)
+    expect(ch.offer(1)).toBe(false)
+    expect(value).toStrictEqual([])
+})
+
+test('channels compose with first and timeout', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const ch = new Channel()
+    sched.add(function* () {
+        value.push(yield* coro.first(ch.take(), coro.frames(2)))
+        value.push(yield* coro.timeout(ch.take(), 10, () => 0))
+    })
+    sched.tick()
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual([undefined])
+    expect(ch.takers.length).toBe(1)
+    ch.offer('x')
+    sched.tick()
+    expect(value).toStrictEqual([undefined, { timedOut: false, value: 'x' }])
+})
+
+test('values taken by a coroutine stopped before seeing them go back', () => {
+    const sched = new coro.Schedule()
+    const ch = new Channel()
+    const task = sched.add(function* () { yield* ch.take() })
+    sched.tick()
+    expect(ch.offer('kept')).toBe(true)
+    task.cancel()
+    expect(ch.length).toBe(1)
+    let value
+    sched.add(function* () { value = yield* ch.take() })
+    sched.tick()
+    expect(value).toBe('kept')
+})
@@ -0,0 +1,189 @@
+import * as coro from '../lib/coroutines.js'
+
+function virtualTime() {
+    let t = 0
+    const source = () => t
+    source.advance = s => t += s
+    return source
+}
+
+test('clocks measure time from their source', () => {
+    const source = virtualTime()
+    const clock = new coro.Clock(source)
+    source.advance(5)
+    expect(clock.time).toBe(0)
+    source.advance(2)
+    expect(clock.time).toBe(2)
+})
+
+test('clocks scale time', () => {
+    const source = virtualTime()
+    const clock = new coro.Clock(source)
+    expect(clock.time).toBe(0)
+    source.advance(2)
+    clock.scale = 0.5
+    source.advance(2)
+    expect(clock.time).toBe(3)
+    expect(clock.scale).toBe(0.5)
+})
+
+test('paused clocks stand still', () => {
+    const source = virtualTime()
+    const clock = new coro.Clock(source)
+    expect(clock.time).toBe(0)
+    source.advance(1)
+    clock.pause()
+    source.advance(10)
+    expect(clock.time).toBe(1)
+    clock.resume()
+    source.advance(1)
+    expect(clock.time).toBe(2)
+})
+
+test('clocks can follow other clocks', () => {
+    const source = virtualTime()
+    const parent = new coro.Clock(source)
+    const child = new coro.Clock(parent)
+    child.scale = 2
+    expect(child.time).toBe(0)
+    parent.scale = 0.5
+    source.advance(4)
+    expect(child.time).toBe(4)
+})
+
+test('schedules measure tick delta', () => {
+    const source = virtualTime()
+    const sched = new coro.Schedule({ clock: new coro.Clock(source) })
+    sched.tick()
+    expect(sched.clock.delta).toBe(0)
+    source.advance(0.25)
+    sched.tick()
+    expect(sched.clock.delta).toBe(0.25)
+})
+
+test('seconds uses the schedule clock', () => {
+    let value = []
+    const source = virtualTime()
+    const sched = new coro.Schedule({ clock: new coro.Clock(source) })
+    sched.clock.scale = 0.5
+    sched.add(function* () {
+        yield* coro.seconds(1)
+        value.push('done')
+    })
+    sched.tick()
+    source.advance(1)
+    sched.tick()
+    expect(value).toStrictEqual([])
+    source.advance(1)
+    sched.tick()
+    expect(value).toStrictEqual(['done'])
+})
+
+test('seconds created outside of a coroutine uses the schedule clock', () => {
+    const source = virtualTime()
+    const sched = new coro.Schedule({ clock: new coro.Clock(source) })
+    sched.clock.scale = 2
+    sched.add(coro.first(coro.seconds(1), function* () { while(true) yield }))
+    sched.tick()
+    source.advance(0.5)
+    sched.tick()
+    expect(sched.size).toBe(0)
+})
+
+test('pausing a schedule does not affect other schedules', () => {
+    let value = []
+    const source = virtualTime()
+    const gameplay = new coro.Schedule({ clock: new coro.Clock(source) })
+    const ui = new coro.Schedule({ clock: new coro.Clock(source) })
+    gameplay.add(function* () { while(true) { value.push('gameplay'); yield } })
+    ui.add(function* () {
+        yield* coro.seconds(1)
+        value.push('ui')
+    })
+    gameplay.tick()
+    ui.tick()
+    gameplay.pause()
+    expect(gameplay.paused).toBe(true)
+    source.advance(1)
+    gameplay.tick()
+    ui.tick()
+    expect(value).toStrictEqual(['gameplay', 'ui'])
+    gameplay.resume()
+    gameplay.tick()
+    expect(value).toStrictEqual(['gameplay', 'ui', 'gameplay'])
+})
+
+test('paused schedules resume waits where they left off', () => {
+    let value = []
+    const source = virtualTime()
+    const sched = new coro.Schedule({ clock: new coro.Clock(source) })
+    sched.add(function* () {
+        yield* coro.seconds(1)
+        value.push('done')
+    })
+    sched.tick()
+    source.advance(0.5)
+    sched.pause()
+    source.advance(10)
+    sched.resume()
+    sched.tick()
+    expect(value).toStrictEqual([])
+    source.advance(0.5)
+    sched.tick()
+    expect(value).toStrictEqual(['done'])
+})
+
+test('phases share one clock', () => {
+    const source = virtualTime()
+    const sched = new coro.PhasedSchedule(['update', 'render'], { clock: new coro.Clock(source) })
+    let deltas = []
+    sched.add(function* () { while(true) { deltas.push(coro.currentClock().delta); yield } })
+    sched.add(function* () { while(true) { deltas.push(coro.currentClock().delta); yield } }, { phase: 'render' })
+    sched.tick()
+    source.advance(0.5)
+    sched.tick()
+    expect(deltas).toStrictEqual([0, 0, 0.5, 0.5])
+    sched.pause()
+    sched.tick()
+    expect(deltas.length).toBe(4)
+})
+
+test('seconds still accepts a clock function', () => {
+    let value = []
+    const source = virtualTime()
+    const sched = new coro.Schedule()
+    sched.add(function* () {
+        yield* coro.seconds(1, source)
+        value.push('done')
+    })
+    sched.tick()
+    source.advance(1)
+    sched.tick()
+    expect(value).toStrictEqual(['done'])
+})
+
+test('clocks carry on from their time when the clock function is replaced', () => {
+    const first = virtualTime()
+    const second = virtualTime()
+    const original = coro.setClock(first)
+    try {
+        const sched = new coro.Schedule()
+        let done = false
+        sched.add(function* () { yield* coro.seconds(1); done = true })
+        sched.tick()
+        first.advance(0.5)
+        expect(sched.clock.time).toBeCloseTo(0.5)
+        second.advance(100)
+        coro.setClock(second)
+        expect(sched.clock.time).toBeCloseTo(0.5)
+        second.advance(0.25)
+        expect(sched.clock.time).toBeCloseTo(0.75)
+        sched.tick()
+        expect(done).toBe(false)
+        second.advance(0.5)
+        sched.tick()
+        expect(done).toBe(true)
+    } finally {
+        coro.setClock(original)
+    }
+})
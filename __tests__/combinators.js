@@ -0,0 +1,183 @@
+import * as coro from '../lib/coroutines.js'
+import { virtualSchedule } from './helpers/schedule.js'
+
+function* count(value, name, n, result) {
+    try {
+        for(let i=0; i<n; i++) { value.push(`${name}${i}`); yield }
+        return result
+    } finally {
+        value.push(`${name} finally`)
+    }
+}
+
+test('coro.sequence runs coroutines one after the other', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const task = sched.add(coro.sequence(
+        count(value, 'A', 2, 'a'),
+        () => count(value, 'B', 1, 'b')
+    ))
+    sched.tick()
+    expect(value).toStrictEqual(['A0'])
+    sched.tick()
+    expect(value).toStrictEqual(['A0', 'A1'])
+    sched.tick()
+    expect(value).toStrictEqual(['A0', 'A1', 'A finally', 'B0'])
+    sched.tick()
+    expect(task.result).toStrictEqual(['a', 'b'])
+})
+
+test('coro.sequence cancels the running and pending coroutines', () => {
+    let value = []
+    let started = []
+    const sched = new coro.Schedule()
+    const pending = count(value, 'C', 1)
+    const task = sched.add(coro.sequence(
+        count(value, 'A', 1),
+        count(value, 'B', 5),
+        pending,
+        function* () { started.push('D') }
+    ))
+    sched.tick()
+    sched.tick()
+    task.cancel()
+    expect(value).toStrictEqual(['A0', 'A finally', 'B0', 'B finally'])
+    expect(pending.next().done).toBe(true)
+    expect(started).toStrictEqual([])
+})
+
+test('coro.repeat runs a coroutine a number of times', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    let i = 0
+    sched.add(coro.repeat(function* () { value.push(i++); yield }, 3))
+    for(let t=0; t<5; t++) sched.tick()
+    expect(value).toStrictEqual([0, 1, 2])
+    expect(sched.size).toBe(0)
+})
+
+test('coro.repeat runs forever by default', () => {
+    let value = 0
+    const sched = new coro.Schedule()
+    sched.add(coro.repeat(function* () { value++; yield }))
+    for(let t=0; t<100; t++) sched.tick()
+    expect(value).toBe(100)
+    expect(sched.size).toBe(1)
+})
+
+test('coro.repeat rejects generators', () => {
+    const sched = new coro.Schedule()
+    sched.add(coro.repeat((function* () {})()))
+    expect(() => sched.tick()).toThrow(TypeError)
+})
+
+test('coro.waitUntil and coro.waitWhile', () => {
+    let value = []
+    let flag = false
+    const sched = new coro.Schedule()
+    sched.add(function* () {
+        yield* coro.waitUntil(() => flag)
+        value.push('until')
+        yield* coro.waitWhile(() => flag)
+        value.push('while')
+    })
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual([])
+    flag = true
+    sched.tick()
+    expect(value).toStrictEqual(['until'])
+    flag = false
+    sched.tick()
+    expect(value).toStrictEqual(['until', 'while'])
+})
+
+test('coro.waitUntil does not wait when already true', () => {
+    const sched = new coro.Schedule()
+    const task = sched.add(coro.waitUntil(() => true))
+    sched.tick()
+    expect(task.isDone).toBe(true)
+})
+
+test('coro.timeout reports completion', () => {
+    let value = []
+    const { sched, step } = virtualSchedule()
+    const task = sched.add(coro.timeout(count(value, 'A', 2, 'a'), 1))
+    step(0)
+    step(0.1)
+    step(0.1)
+    expect(task.result).toStrictEqual({ timedOut: false, value: 'a' })
+})
+
+test('coro.timeout cancels coroutines that run out of time', () => {
+    let value = []
+    const { sched, step } = virtualSchedule()
+    const task = sched.add(coro.timeout(count(value, 'A', 100, 'a'), 1))
+    step(0)
+    step(0.5)
+    step(0.5)
+    expect(task.result).toStrictEqual({ timedOut: true, value: undefined })
+    expect(value).toStrictEqual(['A0', 'A1', 'A2', 'A finally'])
+})
+
+test('coro.race reports the winner', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const task = sched.add(coro.race(
+        count(value, 'A', 3, 'a'),
+        count(value, 'B', 1, 'b'),
+        count(value, 'C', 1, 'c')
+    ))
+    sched.tick()
+    sched.tick()
+    expect(task.result).toStrictEqual({ index: 1, value: 'b' })
+    expect(value).toStrictEqual(['A0', 'B0', 'C0', 'A1', 'B finally', 'A finally', 'C finally'])
+})
+
+test('coro.race cleans up when cancelled', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const task = sched.add(coro.race(count(value, 'A', 3), count(value, 'B', 3)))
+    sched.tick()
+    task.cancel()
+    expect(value).toStrictEqual(['A0', 'B0', 'A finally', 'B finally'])
+})
+
+test('coro.some waits for k coroutines', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const task = sched.add(coro.some(2,
+        count(value, 'A', 5, 'a'),
+        count(value, 'B', 2, 'b'),
+        count(value, 'C', 1, 'c')
+    ))
+    sched.tick()
+    sched.tick()
+    expect(task.isDone).toBe(false)
+    sched.tick()
+    expect(task.result).toStrictEqual([{ index: 2, value: 'c' }, { index: 1, value: 'b' }])
+    expect(value).toStrictEqual(['A0', 'B0', 'C0', 'A1', 'B1', 'C finally', 'A2', 'B finally', 'A finally'])
+})
+
+test('coro.some cleans up when cancelled', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const task = sched.add(coro.some(2, count(value, 'A', 5), count(value, 'B', 1), count(value, 'C', 5)))
+    sched.tick()
+    sched.tick()
+    task.cancel()
+    expect(value).toStrictEqual(['A0', 'B0', 'C0', 'A1', 'B finally', 'C1', 'A finally', 'C finally'])
+})
+
+test('coro.some with k of 0 completes immediately', () => {
+    const sched = new coro.Schedule()
+    const task = sched.add(coro.some(0, function* () { while(true) yield }))
+    sched.tick()
+    expect(task.result).toStrictEqual([])
+})
+
+test('coro.some rejects impossible counts', () => {
+    const sched = new coro.Schedule()
+    sched.add(coro.some(3, function* () {}))
+    expect(() => sched.tick()).toThrow(RangeError)
+})
@@ -0,0 +1,120 @@
+import * as coro from '../lib/coroutines.js'
+
+function* throwsOnSecondTick() {
+    yield
+    throw 'error'
+}
+
+test('rethrow policy still runs remaining coroutines', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    sched.add(throwsOnSecondTick)
+    sched.add(function* () { while(true) { value.push('b'); yield } })
+    sched.add(function* () { while(true) { value.push('c'); yield } })
+    sched.tick()
+    expect(() => sched.tick()).toThrow('error')
+    expect(value).toStrictEqual(['b', 'c', 'b', 'c'])
+    expect(sched.size).toBe(2)
+    sched.tick()
+    expect(value).toStrictEqual(['b', 'c', 'b', 'c', 'b', 'c'])
+})
+
+test('rethrow policy throws the first error of the tick', () => {
+    const sched = new coro.Schedule()
+    sched.add(function* () { throw 'first' })
+    sched.add(function* () { throw 'second' })
+    expect(() => sched.tick()).toThrow('first')
+    expect(sched.size).toBe(0)
+})
+
+test.each([['Schedule', coro.Schedule], ['PooledSchedule', coro.PooledSchedule]])('rethrow policy stops every coroutine in %s.removeAll', (name, Schedule) => {
+    let value = []
+    const sched = new Schedule()
+    sched.add(function* () { try { while(true) yield } finally { throw 'first' } })
+    sched.add(function* () { try { while(true) yield } finally { throw 'second' } })
+    sched.add(function* () { try { while(true) yield } finally { value.push('c') } })
+    sched.tick()
+    expect(() => sched.removeAll()).toThrow('first')
+    expect(value).toStrictEqual(['c'])
+    expect(sched.size).toBe(0)
+})
+
+test('rethrow policy stops every phase in PhasedSchedule.removeAll', () => {
+    let value = []
+    const sched = new coro.PhasedSchedule(['update', 'render'])
+    sched.add(function* () { try { while(true) yield } finally { throw 'update' } })
+    sched.add(function* () { try { while(true) yield } finally { value.push('render') } }, { phase: 'render' })
+    sched.tick()
+    expect(() => sched.removeAll()).toThrow('update')
+    expect(value).toStrictEqual(['render'])
+    expect(sched.size).toBe(0)
+})
+
+test('log policy reports the error and drops the coroutine', () => {
+    const consoleError = console.error
+    let logged = []
+    console.error = (...args) => logged.push(args)
+    let value = []
+    const sched = new coro.Schedule({ errorPolicy: 'log' })
+    sched.add(throwsOnSecondTick)
+    sched.add(function* () { while(true) { value.push('b'); yield } })
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual(['b', 'b'])
+    expect(sched.size).toBe(1)
+    console.error = consoleError
+    expect(logged.length).toBe(1)
+    expect(logged[0][0]).toContain('throwsOnSecondTick')
+    expect(logged[0][1]).toBe('error')
+})
+
+test('handler policy receives the error and task', () => {
+    let errors = []
+    const sched = new coro.Schedule({ errorPolicy: (e, task) => errors.push([e, task]) })
+    const task = sched.add(throwsOnSecondTick)
+    sched.tick()
+    sched.tick()
+    expect(errors).toStrictEqual([['error', task]])
+    expect(task.isDone).toBe(true)
+    expect(task.error).toBe('error')
+})
+
+test('handler policy receives errors thrown while cancelling', () => {
+    let errors = []
+    const sched = new coro.Schedule({ errorPolicy: (e, task) => errors.push([e, task]) })
+    const task = sched.add(function* () {
+        try { while(true) yield } finally { throw 'finally error' }
+    })
+    sched.tick()
+    task.cancel()
+    expect(errors).toStrictEqual([['finally error', task]])
+    expect(task.error).toBe('finally error')
+})
+
+test('tasks are named after their generator function', () => {
+    const sched = new coro.Schedule()
+    function* enemyAI() { yield }
+    expect(sched.add(enemyAI).name).toBe('enemyAI')
+    expect(String(sched.add(enemyAI))).toBe('enemyAI')
+    expect(sched.add(enemyAI(), { name: 'boss' }).name).toBe('boss')
+    expect(String(sched.add(enemyAI()))).toBe('anonymous coroutine')
+})
+
+test('tasks can be identified by creation site', () => {
+    const sched = new coro.Schedule({ captureSites: true })
+    const task = sched.add(function* () { yield })
+    expect(task.site).toContain('errors.js')
+    expect(String(task)).toMatch(/^coroutine .*errors\.js/)
+})
+
+test('spawned tasks are identified by where they were spawned', () => {
+    const sched = new coro.Schedule({ captureSites: true })
+    let child
+    sched.add(function* () {
+        child = coro.spawn(function* () { yield })
+        yield
+    })
+    sched.tick()
+    expect(String(child)).toMatch(/^coroutine .*errors\.js/)
+    expect(String(child)).not.toMatch(/spawn/)
+})
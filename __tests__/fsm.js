@@ -0,0 +1,169 @@
+import * as coro from '../lib/coroutines.js'
+import { StateMachine } from '../lib/fsm.js'
+
+test('the initial state runs on the schedule', () => {
+    let value = 0
+    const sched = new coro.Schedule()
+    const machine = new StateMachine({
+        *idle() { while(true) { value++; yield } },
+        *other() { }
+    }).start(sched)
+    expect(machine.state).toBe('idle')
+    expect(machine.is('idle')).toBe(true)
+    expect(machine.task.name).toBe('idle')
+    sched.tick()
+    sched.tick()
+    expect(value).toBe(2)
+})
+
+test('go cancels the current state and starts the next', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const machine = new StateMachine({
+        a: {
+            enter: (data, m, from) => value.push(['enter a', from]),
+            *run() {
+                try { while(true) yield } finally { value.push('finally a') }
+            },
+            exit: (m, to) => value.push(['exit a', to])
+        },
+        *b(data) { value.push(['run b', data]); yield }
+    }, { name: 'machine' }).start(sched)
+    sched.tick()
+    expect(machine.go('b', 42)).toBe(true)
+    expect(machine.state).toBe('b')
+    expect(machine.task.name).toBe('machine.b')
+    sched.tick()
+    expect(value).toStrictEqual([['enter a', null], 'finally a', ['exit a', 'b'], ['run b', 42]])
+    expect(sched.size).toBe(1)
+})
+
+test('states transition by returning a state name', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const machine = new StateMachine({
+        *first() { value.push('first'); yield; return 'second' },
+        *second() { value.push('second'); return 42 }
+    }).start(sched)
+    sched.tick()
+    sched.tick()
+    expect(machine.state).toBe('second')
+    sched.tick()
+    expect(value).toStrictEqual(['first', 'second'])
+    expect(machine.state).toBe('second')
+    expect(sched.size).toBe(0)
+})
+
+test('states returning strings that are not state names stay current', async () => {
+    const sched = new coro.Schedule()
+    const machine = new StateMachine({
+        *loading() { yield; return 'finished' },
+        *done() { }
+    }).start(sched)
+    const task = machine.task
+    sched.tick()
+    sched.tick()
+    expect(machine.state).toBe('loading')
+    expect(task.result).toBe('finished')
+    await expect(task.promise()).resolves.toBe('finished')
+    expect(machine.go('done')).toBe(true)
+})
+
+test('states can go to another state themselves', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const machine = new StateMachine({
+        *a(data, m) {
+            try {
+                m.go('b')
+                value.push('after go')
+                yield
+                value.push('never')
+            } finally {
+                value.push('finally a')
+            }
+        },
+        *b() { value.push('b'); yield }
+    }).start(sched)
+    sched.tick()
+    expect(machine.state).toBe('b')
+    sched.tick()
+    expect(value).toStrictEqual(['after go', 'finally a', 'b'])
+})
+
+test('guards can refuse transitions', () => {
+    const sched = new coro.Schedule()
+    const machine = new StateMachine({
+        *idle() { while(true) yield },
+        stunned: {
+            guard: (data, m, from) => data.strength > 1,
+            *run() { while(true) yield }
+        }
+    }).start(sched)
+    expect(machine.go('stunned', { strength: 1 })).toBe(false)
+    expect(machine.state).toBe('idle')
+    expect(machine.go('stunned', { strength: 2 })).toBe(true)
+    expect(machine.state).toBe('stunned')
+})
+
+test('back returns to previous states', () => {
+    const sched = new coro.Schedule()
+    const states = {}
+    for (const name of ['a', 'b', 'c'])
+        states[name] = function* () { while(true) yield }
+    const machine = new StateMachine(states, { initial: 'b', historySize: 2 }).start(sched)
+    machine.go('a')
+    machine.go('c')
+    machine.go('b')
+    expect(machine.history).toStrictEqual(['a', 'c'])
+    expect(machine.back()).toBe(true)
+    expect(machine.state).toBe('c')
+    expect(machine.back()).toBe(true)
+    expect(machine.state).toBe('a')
+    expect(machine.back()).toBe(false)
+    expect(machine.state).toBe('a')
+    expect(sched.size).toBe(1)
+})
+
+test('stop exits the current state', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const machine = new StateMachine({
+        only: {
+            *run() { try { while(true) yield } finally { value.push('finally') } },
+            exit: (m, to) => value.push(['exit', to])
+        }
+    }).start(sched)
+    sched.tick()
+    machine.stop()
+    expect(value).toStrictEqual(['finally', ['exit', null]])
+    expect(machine.state).toBe(null)
+    expect(sched.size).toBe(0)
+    expect(() => machine.go('only')).toThrow('not running')
+})
+
+test('unknown states throw', () => {
+    const sched = new coro.Schedule()
+    const machine = new StateMachine({ *a() { yield } }).start(sched)
+    expect(() => machine.go('b')).toThrow('Unknown state b')
+})
+
+test('states without coroutines', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const machine = new StateMachine({
+        off: { enter: () => value.push('off') },
+        on: { enter: () => value.push('on') }
+    }).start(sched)
+    machine.go('on')
+    machine.go('off')
+    expect(value).toStrictEqual(['off', 'on', 'off'])
+    expect(sched.size).toBe(0)
+})
+
+test('machines run in phases', () => {
+    const sched = new coro.PhasedSchedule(['update', 'render'])
+    const machine = new StateMachine({ *a() { while(true) yield } })
+        .start(sched, undefined, { phase: 'render' })
+    expect(sched.phaseOf(machine.task)).toBe('render')
+})
@@ -0,0 +1,125 @@
+import { Input, gamepad, gamepadButtons } from '../lib/input.js'
+
+function pad({ index = 0, id = 'pad', mapping = 'standard', axes = [0, 0, 0, 0], down = [], values = {} } = {}) {
+    return {
+        index, id, mapping, axes, connected: true,
+        buttons: gamepadButtons.map((name, i) => ({
+            pressed: down.includes(name),
+            value: name in values ? values[name] : down.includes(name) ? 1 : 0
+        }))
+    }
+}
+
+function setup(options) {
+    let pads = []
+    const input = new Input([gamepad({ getGamepads: () => pads, ...options })])
+    return { input, set: (...p) => { pads = p } }
+}
+
+test('buttons are reported by name with edges from the last frame', () => {
+    const { input, set } = setup()
+    set(pad({ down: ['a'] }))
+    input.collect()
+    expect(input.now.gamepad.primary.buttons).toStrictEqual({ down: { a: true }, pressed: { a: true }, released: {} })
+    set(pad({ down: ['a', 'start'] }))
+    input.collect()
+    expect(input.now.gamepad.primary.buttons).toStrictEqual({ down: { a: true, start: true }, pressed: { start: true }, released: {} })
+    set(pad({ down: ['start'] }))
+    input.collect()
+    expect(input.now.gamepad.primary.buttons).toStrictEqual({ down: { start: true }, pressed: {}, released: { a: true } })
+})
+
+test('connections and disconnections are reported for one frame', () => {
+    const { input, set } = setup()
+    input.collect()
+    expect(input.now.gamepad).toStrictEqual({ pads: [], primary: null, connected: [], disconnected: [] })
+    set(null, pad({ index: 1 }))
+    input.collect()
+    expect(input.now.gamepad.connected).toStrictEqual([1])
+    expect(input.now.gamepad.pads[0]).toBe(null)
+    expect(input.now.gamepad.primary.index).toBe(1)
+    input.collect()
+    expect(input.now.gamepad.connected).toStrictEqual([])
+    set(null, pad({ index: 1, id: 'other' }))
+    input.collect()
+    expect(input.now.gamepad.connected).toStrictEqual([1])
+    expect(input.now.gamepad.disconnected).toStrictEqual([1])
+    set()
+    input.collect()
+    expect(input.now.gamepad.disconnected).toStrictEqual([1])
+    expect(input.now.gamepad.primary).toBe(null)
+})
+
+test('radial deadzones keep the direction of the stick', () => {
+    const { input, set } = setup({ deadzone: 0.2 })
+    set(pad({ axes: [0.1, 0.1, 0, 0.6] }))
+    input.collect()
+    expect(input.now.gamepad.primary.sticks.left).toStrictEqual({ x: 0, y: 0 })
+    expect(input.now.gamepad.primary.sticks.right.x).toBe(0)
+    expect(input.now.gamepad.primary.sticks.right.y).toBeCloseTo(0.5)
+    set(pad({ axes: [0.6, 0.8, 0, 0] }))
+    input.collect()
+    expect(input.now.gamepad.primary.sticks.left.x).toBeCloseTo(0.6)
+    expect(input.now.gamepad.primary.sticks.left.y).toBeCloseTo(0.8)
+})
+
+test('axial deadzones apply to each axis', () => {
+    const { input, set } = setup({ deadzone: 0.2, deadzoneType: 'axial' })
+    set(pad({ axes: [0.15, -0.6, 0, 0] }))
+    input.collect()
+    expect(input.now.gamepad.primary.sticks.left.x).toBe(0)
+    expect(input.now.gamepad.primary.sticks.left.y).toBeCloseTo(-0.5)
+    expect(() => gamepad({ deadzoneType: 'square' })).toThrow('unknown deadzone type')
+})
+
+test('curves shape stick response', () => {
+    const { input, set } = setup({ deadzone: 0, curve: 2 })
+    set(pad({ axes: [0.5, 0, 0, 0] }))
+    input.collect()
+    expect(input.now.gamepad.primary.sticks.left.x).toBeCloseTo(0.25)
+    const custom = setup({ deadzone: 0, curve: x => x > 0.9 ? 1 : 0.5 })
+    custom.set(pad({ axes: [0, -0.95, 0, 0] }))
+    custom.input.collect()
+    expect(custom.input.now.gamepad.primary.sticks.left.y).toBeCloseTo(-1)
+})
+
+test('triggers are analog with their own deadzone', () => {
+    const { input, set } = setup({ triggerDeadzone: 0.1 })
+    set(pad({ values: { leftTrigger: 0.05, rightTrigger: 0.55 } }))
+    input.collect()
+    expect(input.now.gamepad.primary.triggers.left).toBe(0)
+    expect(input.now.gamepad.primary.triggers.right).toBeCloseTo(0.5)
+    expect(input.now.gamepad.primary.buttons.down).toStrictEqual({ rightTrigger: true })
+})
+
+test('non-standard controllers can be mapped by id', () => {
+    const raw = {
+        index: 0, id: 'odd', mapping: '', connected: true,
+        axes: [0, 0, 1, 0],
+        buttons: gamepadButtons.map((_, i) => ({ pressed: i === 3, value: i === 3 ? 1 : 0 }))
+    }
+    const unmapped = new Input([gamepad({ getGamepads: () => [raw], deadzone: 0 })])
+    unmapped.collect()
+    expect(unmapped.now.gamepad.primary.standard).toBe(false)
+    expect(unmapped.now.gamepad.primary.buttons.down).toStrictEqual({ y: true })
+
+    const buttons = gamepadButtons.map((_, i) => i)
+    buttons[0] = 3
+    buttons[3] = 0
+    const mapped = new Input([gamepad({
+        getGamepads: () => [raw],
+        deadzone: 0,
+        mappings: { odd: { buttons, axes: [2, 3, 0, 1] } }
+    })])
+    mapped.collect()
+    expect(mapped.now.gamepad.primary.standard).toBe(true)
+    expect(mapped.now.gamepad.primary.buttons.down).toStrictEqual({ a: true })
+    expect(mapped.now.gamepad.primary.sticks.left).toStrictEqual({ x: 1, y: 0 })
+})
+
+test('disconnected gamepads are skipped', () => {
+    const { input, set } = setup()
+    set({ ...pad(), connected: false })
+    input.collect()
+    expect(input.now.gamepad.primary).toBe(null)
+})
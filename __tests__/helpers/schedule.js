@@ -0,0 +1,9 @@
+import * as coro from '../../lib/coroutines.js'
+import { VirtualClock } from '../../lib/testing.js'
+
+export function virtualSchedule(Schedule = coro.Schedule) {
+    const clock = new VirtualClock()
+    const sched = new Schedule({ clock: new coro.Clock(clock) })
+    const step = s => { clock.advance(s); sched.tick() }
+    return { sched, step }
+}
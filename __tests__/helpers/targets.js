@@ -0,0 +1,38 @@
+export class FakeTarget {
+    constructor() {
+        this.listeners = {}
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener)
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener)
+    }
+
+    getBoundingClientRect() {
+        return { left: 10, top: 20, width: 200, height: 100 }
+    }
+
+    dispatch(type, props = {}) {
+        for (const listener of this.listeners[type] || [])
+            listener({ type, ...props })
+    }
+
+    down(code, key) {
+        this.dispatch('keydown', { code, key, repeat: false })
+    }
+
+    up(code, key) {
+        this.dispatch('keyup', { code, key, repeat: false })
+    }
+
+    mouse(type, clientX, clientY, props = {}) {
+        this.dispatch(type, { pointerId: 1, pointerType: 'mouse', isPrimary: true, clientX, clientY, button: -1, buttons: 0, ...props })
+    }
+
+    touch(type, pointerId, clientX, clientY, isPrimary = pointerId === 2) {
+        this.dispatch(type, { pointerId, pointerType: 'touch', isPrimary, clientX, clientY, button: type === 'pointermove' ? -1 : 0, buttons: 0 })
+    }
+}
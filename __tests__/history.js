@@ -0,0 +1,110 @@
+import { Input, InputHistory, Combo } from '../lib/input.js'
+
+function feed(frames) {
+    let i = 0
+    const input = new Input([function frame() { return frames[i++] }], { history: 32 })
+    return { input, step: () => input.collect() }
+}
+
+test('history keeps the most recent frames, newest first', () => {
+    const history = new InputHistory(3)
+    expect(history.get(0)).toBe(undefined)
+    for (let i = 1; i <= 4; i++)
+        history.push(i)
+    expect(history.length).toBe(3)
+    expect([history.get(0), history.get(1), history.get(2), history.get(3)]).toStrictEqual([4, 3, 2, undefined])
+    expect(Array.from(history)).toStrictEqual([4, 3, 2])
+    history.clear()
+    expect(Array.from(history)).toStrictEqual([])
+    expect(() => new InputHistory(0)).toThrow('positive')
+})
+
+test('inputs keep a history when asked to', () => {
+    let seen = []
+    const input = new Input([function count(_now, last, history) {
+        seen.push(history.get(0))
+        return last ? last.count + 1 : 0
+    }], { history: 2 })
+    input.collect()
+    input.collect()
+    input.collect()
+    expect(input.history.get(0)).toBe(input.now)
+    expect(input.history.get(1)).toBe(input.last)
+    expect(Array.from(input.history).map(f => f.count)).toStrictEqual([2, 1])
+    expect(seen.map(f => f && f.count)).toStrictEqual([undefined, 0, 1])
+    expect(new Input([]).history).toBe(null)
+})
+
+const is = value => f => f.frame === value
+
+test('combos match steps in order on the frame they complete', () => {
+    const { input, step } = feed(['down', 'idle', 'forward', 'punch', 'punch'])
+    const combo = new Combo([is('down'), is('forward'), is('punch')])
+    const results = []
+    for (let i = 0; i < 5; i++) {
+        step()
+        results.push(combo.match(input.history))
+    }
+    expect(results).toStrictEqual([false, false, false, true, false])
+})
+
+test('combos out of order do not match', () => {
+    const { input, step } = feed(['forward', 'down', 'punch'])
+    const combo = new Combo([is('down'), is('forward'), is('punch')])
+    for (let i = 0; i < 3; i++)
+        step()
+    expect(combo.match(input.history)).toBe(false)
+})
+
+test('combos have to fit within their window', () => {
+    const frames = ['a', 'x', 'x', 'x', 'b']
+    const slow = feed(frames)
+    const fast = feed(frames)
+    const tight = new Combo([is('a'), is('b')], { within: 4 })
+    const loose = new Combo([is('a'), is('b')], { within: 5 })
+    for (let i = 0; i < frames.length; i++) {
+        slow.step()
+        fast.step()
+    }
+    expect(tight.match(slow.input.history)).toBe(false)
+    expect(loose.match(fast.input.history)).toBe(true)
+})
+
+test('gaps limit the frames between steps', () => {
+    // b appears twice; only the earlier b is close enough to a
+    const frames = ['a', 'x', 'b', 'x', 'x', 'b', 'c']
+    const { input, step } = feed(frames)
+    frames.forEach(step)
+    expect(new Combo([is('a'), is('b'), is('c')], { gap: 2 }).match(input.history)).toBe(false)
+    expect(new Combo([is('a'), is('b'), is('c')], { gap: 4 }).match(input.history)).toBe(true)
+    expect(new Combo([is('a'), is('b')], { gap: 2 }).match(input.history)).toBe(false)
+})
+
+test('leniency detects combos completed a few frames ago, once', () => {
+    const frames = ['a', 'b', 'x', 'x']
+    const { input, step } = feed(frames)
+    frames.forEach(step)
+    expect(new Combo([is('a'), is('b')]).match(input.history)).toBe(false)
+    const lenient = new Combo([is('a'), is('b')], { leniency: 2 })
+    expect(lenient.match(input.history)).toBe(true)
+    expect(lenient.match(input.history)).toBe(false)
+    lenient.reset()
+    expect(lenient.match(input.history)).toBe(true)
+})
+
+test('frames of a detected combo are not reused', () => {
+    const frames = ['tap', 'x', 'tap', 'x', 'tap', 'x', 'tap']
+    const { input, step } = feed(frames)
+    const doubleTap = new Combo([is('tap'), is('tap')], { within: 5 })
+    const results = []
+    for (let i = 0; i < frames.length; i++) {
+        step()
+        results.push(doubleTap.match(input.history))
+    }
+    expect(results).toStrictEqual([false, false, true, false, false, false, true])
+})
+
+test('combos need a history', () => {
+    expect(() => new Combo([is('a')]).match(new Input([]).history)).toThrow('input history')
+    expect(() => new Combo([])).toThrow('at least one step')
+})
@@ -0,0 +1,139 @@
+import * as coro from '../lib/coroutines.js'
+
+test('tasks have unique ids and count their age in ticks', () => {
+    const sched = new coro.Schedule()
+    const a = sched.add(function* () { while(true) yield })
+    sched.tick()
+    const b = sched.add(function* () { while(true) yield })
+    sched.tick()
+    sched.tick()
+    expect(a.id).not.toBe(b.id)
+    expect(a.age).toBe(3)
+    expect(b.age).toBe(2)
+})
+
+test('snapshot lists tasks in order without tracing', () => {
+    const sched = new coro.Schedule()
+    sched.add(function* first() { while(true) yield })
+    sched.add(function* () { while(true) yield }, { name: 'second' })
+    sched.tick()
+    const snapshot = sched.snapshot()
+    expect(snapshot.ticks).toBe(1)
+    expect(snapshot.size).toBe(2)
+    expect(snapshot.paused).toBe(false)
+    expect(snapshot.tasks.map(t => t.name)).toStrictEqual(['first', 'second'])
+    expect(snapshot.tasks[0].wait).toBe(null)
+    expect(snapshot.tasks[0].children).toStrictEqual([])
+})
+
+test('inspecting schedules record wait reasons', () => {
+    const sched = new coro.Schedule({ inspect: true })
+    const task = sched.add(function* waiter() {
+        yield* coro.frames(3)
+        yield* coro.waitUntil(function doorOpen() { return false })
+    })
+    sched.tick()
+    expect(task.trace.wait).toBe('frames(3)')
+    sched.tick()
+    expect(task.trace.wait).toBe('frames(2)')
+    sched.tick()
+    sched.tick()
+    expect(task.trace.wait).toBe('waitUntil(doorOpen)')
+    expect(task.runTime).toBeGreaterThanOrEqual(0)
+})
+
+test('traces include children of combinators and named coroutines', () => {
+    const sched = new coro.Schedule({ inspect: true })
+    function* patrol() {
+        while(true) {
+            coro.waitReason('walking')
+            yield
+        }
+    }
+    sched.add(function* guard() {
+        yield* coro.first(
+            function* () { yield* coro.named('patrol', patrol) },
+            coro.frames(10))
+    })
+    sched.tick()
+    const [task] = sched.snapshot().tasks
+    expect(task.name).toBe('guard')
+    expect(task.wait).toBe(null)
+    expect(task.children).toStrictEqual([
+        { name: '0', wait: null, children: [{ name: 'patrol', wait: 'walking', children: [] }] },
+        { name: '1', wait: 'frames(10)', children: [] }
+    ])
+})
+
+test('combinator children are labelled with their function names', () => {
+    const sched = new coro.Schedule({ inspect: true })
+    function* left() { yield* coro.frames(1) }
+    function* right() { yield* coro.frames(2) }
+    const task = sched.add(function* () { yield* coro.all(left, right) })
+    sched.tick()
+    expect(task.trace.children.map(c => c.name)).toStrictEqual(['left', 'right'])
+    sched.tick()
+    sched.tick()
+    expect(task.trace.children.map(c => c.name)).toStrictEqual(['right'])
+})
+
+test('snapshots nest spawned tasks and are serializable', () => {
+    const sched = new coro.Schedule({ inspect: true })
+    sched.add(function* parent() {
+        coro.spawn(function* child() { yield* coro.seconds(5, () => 0) })
+        while(true) yield
+    })
+    sched.tick()
+    sched.tick()
+    const snapshot = JSON.parse(JSON.stringify(sched.snapshot()))
+    expect(snapshot.size).toBe(2)
+    expect(snapshot.tasks.length).toBe(1)
+    expect(snapshot.tasks[0].name).toBe('parent')
+    expect(snapshot.tasks[0].spawned.map(t => [t.name, t.wait])).toStrictEqual([['child', 'seconds(5)']])
+})
+
+test('named behaves like the coroutine it wraps', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    sched.add(function* () {
+        value.push(yield* coro.named('inner', function* () {
+            try {
+                yield
+                return 'result'
+            } finally {
+                value.push('finally')
+            }
+        }))
+    })
+    sched.tick()
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual(['finally', 'result'])
+})
+
+test('PhasedSchedule snapshots every phase', () => {
+    const sched = new coro.PhasedSchedule(['update', 'render'], { inspect: true })
+    sched.add(function* mover() { while(true) yield })
+    sched.add(function* drawer() { while(true) yield }, { phase: 'render' })
+    sched.tick()
+    const snapshot = sched.snapshot()
+    expect(snapshot.size).toBe(2)
+    expect(snapshot.phases.map(p => [p.name, p.tasks.map(t => t.name)]))
+        .toStrictEqual([['update', ['mover']], ['render', ['drawer']]])
+})
+
+test('wait reasons can be computed only while inspecting', () => {
+    let formatted = 0
+    const reason = () => { formatted++; return 'lazy' }
+    function* waiter() { while(true) { coro.waitReason(reason); yield } }
+    const quiet = new coro.Schedule()
+    quiet.add(waiter)
+    quiet.tick()
+    quiet.tick()
+    expect(formatted).toBe(0)
+    const inspected = new coro.Schedule({ inspect: true })
+    inspected.add(waiter)
+    inspected.tick()
+    expect(formatted).toBe(1)
+    expect(inspected.snapshot().tasks[0].wait).toBe('lazy')
+})
@@ -0,0 +1,199 @@
+import * as coro from '../lib/coroutines.js'
+import { virtualSchedule } from './helpers/schedule.js'
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0))
+
+test('yielding a number waits that many seconds', () => {
+    let value = []
+    const { sched, step } = virtualSchedule()
+    sched.add(function* () {
+        value.push('a')
+        yield 1
+        value.push('b')
+    })
+    step(0)
+    step(0.5)
+    expect(value).toStrictEqual(['a'])
+    step(0.5)
+    expect(value).toStrictEqual(['a', 'b'])
+})
+
+test('yielding a generator runs it and returns its value', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    function* sub() {
+        value.push('sub0')
+        yield
+        value.push('sub1')
+        return 'result'
+    }
+    sched.add(function* () {
+        value.push(yield sub())
+        yield
+        value.push('after')
+    })
+    sched.tick()
+    expect(value).toStrictEqual(['sub0'])
+    sched.tick()
+    expect(value).toStrictEqual(['sub0', 'sub1', 'result'])
+    sched.tick()
+    expect(value).toStrictEqual(['sub0', 'sub1', 'result', 'after'])
+})
+
+test('nested instructions are carried out', () => {
+    let value = []
+    const { sched, step } = virtualSchedule()
+    sched.add(function* () {
+        yield (function* () { yield 1; return 'inner' })()
+        value.push('done')
+    })
+    step(0)
+    step(0.5)
+    expect(value).toStrictEqual([])
+    step(0.5)
+    expect(value).toStrictEqual(['done'])
+})
+
+test('yielding a promise waits for it', async () => {
+    let value = []
+    const sched = new coro.Schedule()
+    sched.add(function* () {
+        value.push(yield Promise.resolve('resolved'))
+        try {
+            yield Promise.reject('rejected')
+        } catch(e) {
+            value.push(e)
+        }
+    })
+    sched.tick()
+    await settle()
+    sched.tick()
+    expect(value).toStrictEqual(['resolved'])
+    await settle()
+    sched.tick()
+    expect(value).toStrictEqual(['resolved', 'rejected'])
+})
+
+test('yielding an array waits for all of it', () => {
+    let value = []
+    const { sched, step } = virtualSchedule()
+    sched.add(function* () {
+        yield [1, (function* () { yield; yield })(), function* () { yield 2 }]
+        value.push('done')
+    })
+    step(0)
+    step(1)
+    expect(value).toStrictEqual([])
+    step(1)
+    expect(value).toStrictEqual(['done'])
+})
+
+test('instructions propagate through yield*', () => {
+    let value = []
+    const { sched, step } = virtualSchedule()
+    function* wait() { yield 1 }
+    sched.add(function* () {
+        yield* wait()
+        value.push('done')
+    })
+    step(0)
+    expect(value).toStrictEqual([])
+    step(1)
+    expect(value).toStrictEqual(['done'])
+})
+
+test('instructions are carried out inside coro.all and coro.first', () => {
+    let value = []
+    const { sched, step } = virtualSchedule()
+    sched.add(function* () {
+        value.push(yield* coro.first(
+            function* () { yield 2; return 'slow' },
+            function* () { yield 1; return 'fast' }
+        ))
+    })
+    step(0)
+    step(1)
+    expect(value).toStrictEqual(['fast'])
+})
+
+test('errors in instructions are thrown at the yield', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    sched.add(function* () {
+        try {
+            yield (function* () { yield; throw 'error' })()
+        } catch(e) {
+            value.push(e)
+        }
+    })
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual(['error'])
+})
+
+test('cancelling a task cancels its instruction', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const task = sched.add(function* () {
+        try {
+            yield (function* () {
+                try { while(true) yield } finally { value.push('inner') }
+            })()
+        } finally {
+            value.push('outer')
+        }
+    })
+    sched.tick()
+    task.cancel()
+    expect(value).toStrictEqual(['inner', 'outer'])
+})
+
+test.each([['Schedule', coro.Schedule], ['PooledSchedule', coro.PooledSchedule]])('%s stops the yielding coroutine when its instruction fails to stop', (name, Schedule) => {
+    let value = []
+    const sched = new Schedule({ errorPolicy: e => value.push(e) })
+    const instance = sched.add(function* () {
+        try {
+            yield (function* () {
+                try { while(true) yield } finally { throw 'inner error' }
+            })()
+        } finally {
+            value.push('outer')
+        }
+    })
+    sched.tick()
+    sched.remove(instance)
+    expect(value).toStrictEqual(['outer', 'inner error'])
+    expect(sched.size).toBe(0)
+})
+
+test('values that are not instructions are ignored', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    sched.add(function* () {
+        value.push(yield 'hello')
+        value.push(yield { some: 'object' })
+    })
+    sched.tick()
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual([undefined, undefined])
+})
+
+test('custom instructions can be registered', () => {
+    class Frames { constructor(n) { this.n = n } }
+    coro.registerInstruction(v => v instanceof Frames, v => coro.frames(v.n))
+    let value = []
+    const sched = new coro.Schedule()
+    sched.add(function* () {
+        yield new Frames(2)
+        value.push('done')
+    })
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual([])
+    sched.tick()
+    expect(value).toStrictEqual(['done'])
+    expect(coro.instruction(new Frames(1)).next).toBeInstanceOf(Function)
+    expect(coro.instruction(undefined)).toBe(null)
+    expect(coro.instruction('hello')).toBe(null)
+})
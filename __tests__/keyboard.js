@@ -0,0 +1,87 @@
+import { Input, keyboard } from '../lib/input.js'
+import { FakeTarget } from './helpers/targets.js'
+
+function setup() {
+    const target = new FakeTarget()
+    const input = new Input([keyboard(target)])
+    return { target, input }
+}
+
+test('keys are down from keydown to keyup', () => {
+    const { target, input } = setup()
+    target.down('KeyW', 'w')
+    input.collect()
+    expect(input.now.keyboard.code).toStrictEqual({ down: { KeyW: true }, pressed: { KeyW: true }, released: {} })
+    expect(input.now.keyboard.key).toStrictEqual({ down: { w: true }, pressed: { w: true }, released: {} })
+    input.collect()
+    expect(input.now.keyboard.code).toStrictEqual({ down: { KeyW: true }, pressed: {}, released: {} })
+    target.up('KeyW', 'w')
+    input.collect()
+    expect(input.now.keyboard.code).toStrictEqual({ down: {}, pressed: {}, released: { KeyW: true } })
+    expect(input.now.keyboard.key).toStrictEqual({ down: {}, pressed: {}, released: { w: true } })
+    input.collect()
+    expect(input.now.keyboard.code.released).toStrictEqual({})
+})
+
+test('taps within one frame are not lost', () => {
+    const { target, input } = setup()
+    target.down('Space', ' ')
+    target.up('Space', ' ')
+    input.collect()
+    expect(input.now.keyboard.code).toStrictEqual({ down: {}, pressed: { Space: true }, released: { Space: true } })
+})
+
+test('repeats are ignored', () => {
+    const { target, input } = setup()
+    target.down('KeyA', 'a')
+    input.collect()
+    target.dispatch('keydown', { code: 'KeyA', key: 'a', repeat: true })
+    target.down('KeyA', 'a')
+    input.collect()
+    expect(input.now.keyboard.code.pressed).toStrictEqual({})
+})
+
+test('keys are released under the key they were pressed with', () => {
+    const { target, input } = setup()
+    target.down('KeyA', 'a')
+    target.down('ShiftLeft', 'Shift')
+    input.collect()
+    expect(input.now.keyboard.key.down).toStrictEqual({ a: true, Shift: true })
+    target.up('KeyA', 'A')
+    input.collect()
+    expect(input.now.keyboard.key.released).toStrictEqual({ a: true })
+    expect(input.now.keyboard.key.down).toStrictEqual({ Shift: true })
+})
+
+test('blur releases every key', () => {
+    const { target, input } = setup()
+    target.down('KeyA', 'a')
+    target.down('KeyB', 'b')
+    input.collect()
+    target.dispatch('blur')
+    input.collect()
+    expect(input.now.keyboard.code).toStrictEqual({ down: {}, pressed: {}, released: { KeyA: true, KeyB: true } })
+})
+
+test('snapshots are frozen and kept as last', () => {
+    const { target, input } = setup()
+    target.down('KeyA', 'a')
+    input.collect()
+    input.collect()
+    expect(input.last.keyboard.code.pressed).toStrictEqual({ KeyA: true })
+    expect(Object.isFrozen(input.now.keyboard.code.down)).toBe(true)
+})
+
+test('dispose removes the listeners', () => {
+    const target = new FakeTarget()
+    const input = keyboard(target)
+    expect(input.name).toBe('keyboard')
+    input.dispose()
+    expect(target.listeners.keydown).toStrictEqual([])
+    expect(target.listeners.keyup).toStrictEqual([])
+    expect(target.listeners.blur).toStrictEqual([])
+})
+
+test('keyboard needs an event target', () => {
+    expect(() => keyboard({})).toThrow('event target')
+})
@@ -0,0 +1,103 @@
+import * as coro from '../lib/coroutines.js'
+import { Input } from '../lib/input.js'
+import { Output } from '../lib/output.js'
+import { Loop, timerDriver } from '../lib/loop.js'
+
+function recorder(log) {
+    const input = new Input([function frame() { log.push('collect'); return 0 }])
+    const schedule = new coro.Schedule()
+    schedule.add(function* () { while(true) { log.push('tick'); yield } })
+    class Recorder { commit(output) { log.push(`commit ${output.alpha}`) } }
+    const output = new Output([Recorder])
+    return { input, schedule, output }
+}
+
+test('variable step loop runs input, schedule and output once a frame', () => {
+    let log = []
+    const loop = new Loop(recorder(log))
+    loop.advance(0.016)
+    loop.advance(0.1)
+    expect(log).toStrictEqual(['collect', 'tick', 'commit 1', 'collect', 'tick', 'commit 1'])
+    expect(loop.frames).toBe(2)
+    expect(loop.updates).toBe(2)
+    expect(loop.time).toBeCloseTo(0.116)
+})
+
+test('fixed step loop accumulates time and exposes alpha', () => {
+    let log = []
+    const loop = new Loop({ ...recorder(log), step: 0.125 })
+    loop.advance(0.0625)
+    expect(log).toStrictEqual(['commit 0.5'])
+    log.length = 0
+    loop.advance(0.25)
+    expect(log).toStrictEqual(['collect', 'tick', 'collect', 'tick', 'commit 0.5'])
+    expect(loop.updates).toBe(2)
+    expect(loop.time).toBe(0.25)
+})
+
+test('fixed step loop divides time into whole steps', () => {
+    const loop = new Loop({ step: 1 / 60, maxFrameSkip: 100 })
+    loop.advance(1)
+    expect(loop.updates).toBe(60)
+    expect(loop.alpha).toBeCloseTo(0)
+})
+
+test('fixed step loop drops updates beyond max frame skip', () => {
+    const loop = new Loop({ step: 0.1, maxFrameSkip: 3 })
+    loop.advance(1.05)
+    expect(loop.updates).toBe(3)
+    expect(loop.dropped).toBe(7)
+    expect(loop.alpha).toBeCloseTo(0.5)
+})
+
+test('schedule clock follows simulated time', () => {
+    let value = []
+    const schedule = new coro.Schedule()
+    schedule.add(function* () {
+        yield* coro.seconds(0.25)
+        value.push('done')
+    })
+    const loop = new Loop({ schedule, step: 0.1 })
+    loop.advance(0.1)
+    loop.advance(0.1)
+    expect(value).toStrictEqual([])
+    loop.advance(0.1)
+    loop.advance(0.1)
+    expect(value).toStrictEqual(['done'])
+})
+
+test('frame measures real time between calls', () => {
+    let t = 10
+    const loop = new Loop({ step: 0.5, now: () => t })
+    loop.frame()
+    expect(loop.updates).toBe(0)
+    t += 1
+    loop.frame()
+    expect(loop.updates).toBe(2)
+})
+
+test('drivers start and stop the loop', () => {
+    let frames = []
+    let stopped = false
+    const driver = frame => { frames.push(frame); return () => stopped = true }
+    const loop = new Loop({ driver, now: () => 0 })
+    loop.start()
+    loop.start()
+    expect(loop.running).toBe(true)
+    expect(frames.length).toBe(1)
+    frames[0]()
+    expect(loop.frames).toBe(1)
+    loop.stop()
+    expect(stopped).toBe(true)
+    expect(loop.running).toBe(false)
+})
+
+test('timer driver runs the loop in node', done => {
+    const loop = new Loop({ driver: timerDriver(0.01) })
+    loop.start()
+    setTimeout(() => {
+        loop.stop()
+        expect(loop.frames).toBeGreaterThan(0)
+        done()
+    }, 100)
+})
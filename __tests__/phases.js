@@ -0,0 +1,122 @@
+import * as coro from '../lib/coroutines.js'
+
+function* push(value, x) {
+    while(true) { value.push(x); yield }
+}
+
+test('priorities order coroutines within a schedule', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    sched.add(push(value, 'b'))
+    sched.add(push(value, 'd'), { priority: 10 })
+    sched.add(push(value, 'a'), { priority: -5 })
+    sched.add(push(value, 'c'))
+    sched.tick()
+    expect(value).toStrictEqual(['a', 'b', 'c', 'd'])
+    expect(sched.back.priority).toBe(10)
+})
+
+test('phases run in order', () => {
+    let value = []
+    const sched = new coro.PhasedSchedule(['input', 'update', 'lateUpdate', 'render'])
+    sched.add(push(value, 'render'), { phase: 'render' })
+    sched.add(push(value, 'update'), { phase: 'update' })
+    sched.add(push(value, 'input'), { phase: 'input' })
+    sched.add(push(value, 'lateUpdate'), { phase: 'lateUpdate' })
+    sched.tick()
+    expect(value).toStrictEqual(['input', 'update', 'lateUpdate', 'render'])
+    expect(sched.size).toBe(4)
+})
+
+test('coroutines without a phase go to the default phase', () => {
+    let value = []
+    const sched = new coro.PhasedSchedule(['input', 'update', 'render'], { defaultPhase: 'update' })
+    sched.add(push(value, 'render'), { phase: 'render' })
+    sched.add(push(value, 'update'))
+    sched.add(push(value, 'input'), { phase: 'input' })
+    sched.tick()
+    expect(value).toStrictEqual(['input', 'update', 'render'])
+})
+
+test('priorities order coroutines within a phase', () => {
+    let value = []
+    const sched = new coro.PhasedSchedule(['update', 'render'])
+    sched.add(push(value, 'late'), { phase: 'update', priority: 1 })
+    sched.add(push(value, 'early'), { phase: 'update', priority: -1 })
+    sched.add(push(value, 'normal'), { phase: 'update' })
+    sched.tick()
+    expect(value).toStrictEqual(['early', 'normal', 'late'])
+})
+
+test('phases can be inserted relative to others', () => {
+    let value = []
+    const sched = new coro.PhasedSchedule(['update', 'render'])
+    sched.addPhase('physics', { after: 'update' })
+    sched.addPhase('input', { before: 'update' })
+    expect(sched.phases).toStrictEqual(['input', 'update', 'physics', 'render'])
+    sched.add(push(value, 'physics'), { phase: 'physics' })
+    sched.add(push(value, 'input'), { phase: 'input' })
+    sched.add(push(value, 'render'), { phase: 'render' })
+    sched.tick()
+    expect(value).toStrictEqual(['input', 'physics', 'render'])
+    expect(() => sched.addPhase('render')).toThrow()
+    expect(() => sched.add(push(value, 'x'), { phase: 'missing' })).toThrow()
+})
+
+test('coroutines can move between phases', () => {
+    let value = []
+    const sched = new coro.PhasedSchedule(['update', 'render'])
+    sched.add(push(value, 'render'), { phase: 'render' })
+    const task = sched.add(push(value, 'moved'), { phase: 'update' })
+    sched.tick()
+    expect(value).toStrictEqual(['moved', 'render'])
+    sched.move(task, 'render', 1)
+    expect(sched.phaseOf(task)).toBe('render')
+    sched.tick()
+    expect(value).toStrictEqual(['moved', 'render', 'render', 'moved'])
+    expect(sched.size).toBe(2)
+})
+
+test('a coroutine can move itself and complete', () => {
+    let value = []
+    const sched = new coro.PhasedSchedule(['update', 'render'])
+    let task
+    task = sched.add(function* () {
+        value.push('update')
+        sched.move(task, 'render')
+        yield
+        value.push('render')
+    })
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual(['update', 'render'])
+    expect(task.isDone).toBe(true)
+    expect(sched.size).toBe(0)
+})
+
+test('PhasedSchedule supports the Schedule API', () => {
+    let value = []
+    const sched = new coro.PhasedSchedule(['update', 'render'])
+    function* cleanup(x) {
+        try { while(true) yield } finally { value.push(x) }
+    }
+    const a = cleanup('a')
+    sched.add(a)
+    sched.add(cleanup('b'), { phase: 'render' })
+    sched.add(cleanup('c'))
+    sched.tick()
+    sched.remove(a)
+    expect(value).toStrictEqual(['a'])
+    sched.removeAll()
+    expect(value).toStrictEqual(['a', 'c', 'b'])
+    expect(sched.size).toBe(0)
+})
+
+test('an error in one phase does not stop later phases', () => {
+    let value = []
+    const sched = new coro.PhasedSchedule(['update', 'render'])
+    sched.add(function* () { throw 'error' })
+    sched.add(push(value, 'render'), { phase: 'render' })
+    expect(() => sched.tick()).toThrow('error')
+    expect(value).toStrictEqual(['render'])
+})
@@ -0,0 +1,133 @@
+import { Input, pointer } from '../lib/input.js'
+import { FakeTarget } from './helpers/targets.js'
+
+function setup(options) {
+    const target = new FakeTarget()
+    const input = new Input([pointer(target, options)])
+    return { target, input }
+}
+
+test('positions are relative to the target and normalized', () => {
+    const { target, input } = setup()
+    input.collect()
+    expect(input.now.pointer.primary).toBe(null)
+    target.mouse('pointermove', 60, 70)
+    input.collect()
+    const { x, y, nx, ny, dx, dy, type } = input.now.pointer.primary
+    expect({ x, y, nx, ny, dx, dy, type }).toStrictEqual({ x: 50, y: 50, nx: 0.25, ny: 0.5, dx: 0, dy: 0, type: 'mouse' })
+})
+
+test('deltas are the movement since the last frame', () => {
+    const { target, input } = setup()
+    target.mouse('pointermove', 10, 20)
+    input.collect()
+    target.mouse('pointermove', 15, 22)
+    target.mouse('pointermove', 30, 25)
+    input.collect()
+    expect(input.now.pointer.primary.dx).toBe(20)
+    expect(input.now.pointer.primary.dy).toBe(5)
+    input.collect()
+    expect(input.now.pointer.primary.dx).toBe(0)
+    expect(input.now.pointer.primary.x).toBe(20)
+})
+
+test('buttons have down, pressed and released edges', () => {
+    const { target, input } = setup()
+    target.mouse('pointerdown', 10, 20, { button: 0, buttons: 1 })
+    input.collect()
+    expect(input.now.pointer.primary.buttons).toStrictEqual({ down: { 0: true }, pressed: { 0: true }, released: {} })
+    // right button pressed while the left is held only sends a move
+    target.mouse('pointermove', 10, 20, { button: 2, buttons: 3 })
+    input.collect()
+    expect(input.now.pointer.primary.buttons).toStrictEqual({ down: { 0: true, 2: true }, pressed: { 2: true }, released: {} })
+    target.mouse('pointermove', 10, 20, { button: 0, buttons: 2 })
+    target.mouse('pointerup', 10, 20, { button: 2, buttons: 0 })
+    input.collect()
+    expect(input.now.pointer.primary.buttons).toStrictEqual({ down: {}, pressed: {}, released: { 0: true, 2: true } })
+})
+
+test('clicks within one frame are not lost', () => {
+    const { target, input } = setup()
+    target.mouse('pointerdown', 10, 20, { button: 0, buttons: 1 })
+    target.mouse('pointerup', 10, 20, { button: 0, buttons: 0 })
+    input.collect()
+    expect(input.now.pointer.primary.buttons).toStrictEqual({ down: {}, pressed: { 0: true }, released: { 0: true } })
+})
+
+test('wheel deltas accumulate between frames in pixels', () => {
+    const { target, input } = setup()
+    target.dispatch('wheel', { deltaX: 0, deltaY: 10, deltaZ: 0, deltaMode: 0 })
+    target.dispatch('wheel', { deltaX: 1, deltaY: -3, deltaZ: 0, deltaMode: 1 })
+    input.collect()
+    expect(input.now.pointer.wheel).toStrictEqual({ x: 16, y: -38, z: 0 })
+    input.collect()
+    expect(input.now.pointer.wheel).toStrictEqual({ x: 0, y: 0, z: 0 })
+})
+
+test('locked pointers report movement instead of position', () => {
+    let locked = false
+    const { target, input } = setup({ locked: () => locked })
+    target.mouse('pointermove', 60, 70)
+    input.collect()
+    locked = true
+    target.mouse('pointermove', 60, 70, { movementX: 5, movementY: -2 })
+    target.mouse('pointermove', 60, 70, { movementX: 5, movementY: 0 })
+    input.collect()
+    const { x, y, dx, dy } = input.now.pointer.primary
+    expect({ x, y, dx, dy }).toStrictEqual({ x: 50, y: 50, dx: 10, dy: -2 })
+    expect(input.now.pointer.locked).toBe(true)
+})
+
+test('touches are tracked by id and removed after they end', () => {
+    const { target, input } = setup()
+    target.touch('pointerdown', 2, 10, 20)
+    target.touch('pointerdown', 3, 110, 20)
+    input.collect()
+    expect(Object.keys(input.now.pointer.pointers)).toStrictEqual(['2', '3'])
+    expect(input.now.pointer.primary.id).toBe(2)
+    expect(input.now.pointer.pointers[3].buttons.pressed).toStrictEqual({ 0: true })
+    target.touch('pointermove', 3, 120, 30)
+    target.touch('pointerup', 2, 10, 20)
+    input.collect()
+    expect(input.now.pointer.pointers[2].ended).toBe(true)
+    expect(input.now.pointer.pointers[2].buttons.released).toStrictEqual({ 0: true })
+    expect(input.now.pointer.pointers[3].dx).toBe(10)
+    input.collect()
+    expect(Object.keys(input.now.pointer.pointers)).toStrictEqual(['3'])
+    expect(input.now.pointer.primary).toBe(null)
+})
+
+test('mouse and touch share one model', () => {
+    const { target, input } = setup()
+    target.mouse('pointermove', 10, 20)
+    input.collect()
+    target.touch('pointerdown', 2, 30, 40)
+    input.collect()
+    expect(input.now.pointer.primary.type).toBe('touch')
+    target.touch('pointercancel', 2, 30, 40)
+    input.collect()
+    input.collect()
+    expect(input.now.pointer.primary.type).toBe('mouse')
+})
+
+test('blur releases every button', () => {
+    const { target, input } = setup()
+    target.mouse('pointerdown', 10, 20, { button: 0, buttons: 1 })
+    input.collect()
+    target.dispatch('blur')
+    input.collect()
+    expect(input.now.pointer.primary.buttons).toStrictEqual({ down: {}, pressed: {}, released: { 0: true } })
+})
+
+test('dispose removes the listeners', () => {
+    const target = new FakeTarget()
+    const input = pointer(target)
+    expect(input.name).toBe('pointer')
+    input.dispose()
+    for (const type of Object.keys(target.listeners))
+        expect(target.listeners[type]).toStrictEqual([])
+})
+
+test('pointer needs an event target', () => {
+    expect(() => pointer({})).toThrow('event target')
+})
@@ -0,0 +1,255 @@
+import * as coro from '../lib/coroutines.js'
+import { virtualSchedule } from './helpers/schedule.js'
+
+const schedules = [['Schedule', coro.Schedule], ['PooledSchedule', coro.PooledSchedule]]
+
+describe.each(schedules)('%s ordering', (name, Schedule) => {
+    test('add does not advance', () => {
+        let value = 0
+        const sched = new Schedule()
+        sched.add(function* () { value = 1; yield; value = 2 })
+        expect(value).toBe(0)
+        sched.tick()
+        expect(value).toBe(1)
+        sched.tick()
+        expect(value).toBe(2)
+        expect(sched.size).toBe(0)
+    })
+
+    test('coroutines run in the order they were added', () => {
+        let value = []
+        const sched = new Schedule()
+        function* co(x) { while(true) { value.push(x); yield } }
+        sched.add(co(1))
+        sched.add(co(3))
+        sched.add(co(2))
+        sched.tick()
+        sched.tick()
+        expect(value).toStrictEqual([1, 3, 2, 1, 3, 2])
+    })
+
+    test('coroutines added during a tick run after the others, next tick', () => {
+        let value = []
+        const sched = new Schedule()
+        sched.add(function* () {
+            value.push('a')
+            sched.add(function* () { while(true) { value.push('added'); yield } })
+            yield
+            while(true) { value.push('a'); yield }
+        })
+        sched.add(function* () { while(true) { value.push('b'); yield } })
+        sched.tick()
+        expect(value).toStrictEqual(['a', 'b'])
+        sched.tick()
+        expect(value).toStrictEqual(['a', 'b', 'a', 'b', 'added'])
+    })
+
+    test('finished coroutines leave the others in order', () => {
+        let value = []
+        const sched = new Schedule()
+        function* co(x, n) { while(n--) { value.push(x); yield } }
+        sched.add(co('a', 3))
+        sched.add(co('b', 1))
+        sched.add(co('c', 2))
+        sched.add(co('d', 3))
+        for (let i = 0; i < 4; i++)
+            sched.tick()
+        expect(value).toStrictEqual(['a', 'b', 'c', 'd', 'a', 'c', 'd', 'a', 'd'])
+        expect(sched.size).toBe(0)
+    })
+
+    test('removing a later coroutine during a tick skips it', () => {
+        let value = []
+        const sched = new Schedule()
+        const second = function* () {
+            try { while(true) { value.push('second'); yield } } finally { value.push('second finally') }
+        }()
+        sched.add(function* () { yield; value.push('first'); sched.remove(second) })
+        sched.add(second)
+        sched.add(function* () { yield; value.push('third') })
+        sched.tick()
+        sched.tick()
+        expect(value).toStrictEqual(['second', 'first', 'second finally', 'third'])
+        expect(sched.size).toBe(0)
+    })
+
+    test('a coroutine can remove itself', () => {
+        let value = []
+        const sched = new Schedule()
+        const self = function* () {
+            try {
+                sched.remove(self)
+                value.push('after')
+                yield
+                value.push('never')
+            } finally {
+                value.push('finally')
+            }
+        }()
+        sched.add(self)
+        sched.tick()
+        sched.tick()
+        expect(value).toStrictEqual(['after', 'finally'])
+        expect(sched.size).toBe(0)
+    })
+
+    test('removeAll stops coroutines in order', () => {
+        let value = []
+        const sched = new Schedule()
+        function* co(x) { try { while(true) yield } finally { value.push(x) } }
+        sched.add(co(1))
+        sched.add(co(2))
+        sched.add(co(3))
+        sched.tick()
+        sched.removeAll()
+        expect(value).toStrictEqual([1, 2, 3])
+        expect(sched.size).toBe(0)
+        sched.tick()
+    })
+
+    test('errors are rethrown after the tick', () => {
+        let value = []
+        const sched = new Schedule()
+        sched.add(function* () { throw 'error' })
+        sched.add(function* () { value.push('after') })
+        expect(() => sched.tick()).toThrow('error')
+        expect(value).toStrictEqual(['after'])
+        expect(sched.size).toBe(0)
+    })
+
+    test('instructions and clocks work', () => {
+        let value = []
+        const { sched, step } = virtualSchedule(Schedule)
+        sched.add(function* () {
+            yield 1
+            value.push('number')
+            yield* coro.seconds(1)
+            value.push('seconds')
+        })
+        step(0)
+        step(1)
+        expect(value).toStrictEqual(['number'])
+        step(1)
+        expect(value).toStrictEqual(['number', 'seconds'])
+    })
+})
+
+test('PooledSchedule removes coroutines in the middle of a tick', () => {
+    let value = []
+    const sched = new coro.PooledSchedule()
+    function* co(x) { try { while(true) { value.push(x); yield } } finally { value.push(`${x} finally`) } }
+    sched.add(function* () { })
+    sched.add(function* () { })
+    const a = sched.add(co('a'))
+    const b = sched.add(co('b'))
+    sched.add(function* () { sched.remove(a); sched.remove(b); sched.remove(a) })
+    sched.tick()
+    expect(value).toStrictEqual(['a', 'b', 'a finally', 'b finally'])
+    expect(sched.size).toBe(0)
+    sched.tick()
+    expect(sched.slots.length).toBe(0)
+    expect(sched.pool.length).toBe(5)
+})
+
+test('PooledSchedule removes everything in the middle of a tick', () => {
+    let value = []
+    const sched = new coro.PooledSchedule()
+    function* co(x) { try { while(true) { value.push(x); yield } } finally { value.push(`${x} finally`) } }
+    sched.add(function* () { })
+    sched.add(function* () { })
+    sched.add(co('a'))
+    sched.add(function* () { sched.removeAll(); value.push('after'); yield; value.push('never') })
+    sched.add(co('b'))
+    sched.tick()
+    // b has not started, so it has no finally to run
+    expect(value).toStrictEqual(['a', 'a finally', 'after'])
+    expect(sched.size).toBe(0)
+    sched.tick()
+    expect(value).toStrictEqual(['a', 'a finally', 'after'])
+    expect(sched.size).toBe(0)
+})
+
+test('PooledSchedule iterates every coroutine once in the middle of a tick', () => {
+    let seen
+    const sched = new coro.PooledSchedule()
+    function* co() { while(true) yield }
+    sched.add(function* () { })
+    const a = sched.add(co())
+    sched.add(function* () { })
+    const self = sched.add(function* () { while(true) { seen = Array.from(sched); yield } })
+    const b = sched.add(co())
+    sched.tick()
+    expect(seen.length).toBe(3)
+    expect(seen[0]).toBe(a)
+    expect(seen[1]).toBe(self)
+    expect(seen[2]).toBe(b)
+})
+
+test('PooledSchedule.add returns the coroutine', () => {
+    const sched = new coro.PooledSchedule()
+    function* co() { yield }
+    const instance = co()
+    expect(sched.add(instance)).toBe(instance)
+    const running = Array.from(sched)
+    expect(running.length).toBe(1)
+    expect(running[0]).toBe(instance)
+})
+
+test('PooledSchedule reuses its records', () => {
+    const sched = new coro.PooledSchedule()
+    function* co() { yield }
+    for (let i = 0; i < 3; i++)
+        sched.add(co())
+    sched.tick()
+    sched.tick()
+    expect(sched.pool.length).toBe(3)
+    const slots = sched.pool.slice()
+    for (let i = 0; i < 3; i++)
+        sched.add(co())
+    expect(sched.pool.length).toBe(0)
+    expect(new Set([...sched.slots, ...slots]).size).toBe(3)
+})
+
+test('PooledSchedule removes coroutines it has not run yet', () => {
+    let value = 0
+    const sched = new coro.PooledSchedule()
+    const instance = sched.add(function* () { try { while(true) yield } finally { value++ } })
+    sched.remove(instance)
+    sched.remove(instance)
+    expect(sched.size).toBe(0)
+    sched.tick()
+    expect(value).toBe(0)
+    expect(sched.slots.length).toBe(0)
+})
+
+test('PooledSchedule error policies are passed the coroutine', () => {
+    let value = []
+    const sched = new coro.PooledSchedule({ errorPolicy: (e, c) => value.push([e, c]) })
+    const instance = sched.add(function* () { yield; throw 'error' })
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual([['error', instance]])
+})
+
+test('PooledSchedule pauses', () => {
+    let value = 0
+    const sched = new coro.PooledSchedule()
+    sched.add(function* () { while(true) { value++; yield } })
+    sched.pause()
+    sched.tick()
+    expect(sched.paused).toBe(true)
+    sched.resume()
+    sched.tick()
+    expect(value).toBe(1)
+})
+
+test('all keeps running its coroutines in order as they finish', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    function* co(x, n) { while(n--) { value.push(x); yield } }
+    sched.add(coro.all(co('a', 1), co('b', 3), co('c', 2)))
+    for (let i = 0; i < 4; i++)
+        sched.tick()
+    expect(value).toStrictEqual(['a', 'b', 'c', 'b', 'c', 'b'])
+    expect(sched.size).toBe(0)
+})
@@ -0,0 +1,105 @@
+import * as coro from '../lib/coroutines.js'
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0))
+
+test('waitFor returns the resolved value', async () => {
+    let value = []
+    const sched = new coro.Schedule()
+    sched.add(function* () {
+        value.push(yield* coro.waitFor(Promise.resolve('resolved')))
+    })
+    sched.tick()
+    expect(value).toStrictEqual([])
+    await settle()
+    sched.tick()
+    expect(value).toStrictEqual(['resolved'])
+})
+
+test('waitFor throws the rejection', async () => {
+    let value = []
+    const sched = new coro.Schedule()
+    sched.add(function* () {
+        try {
+            yield* coro.waitFor(Promise.reject('rejected'))
+        } catch(e) {
+            value.push(e)
+        }
+    })
+    sched.tick()
+    await settle()
+    sched.tick()
+    expect(value).toStrictEqual(['rejected'])
+})
+
+test('waitFor keeps waiting until the promise settles', async () => {
+    let resolve
+    const promise = new Promise(r => resolve = r)
+    const sched = new coro.Schedule()
+    const task = sched.add(coro.waitFor(promise))
+    sched.tick()
+    await settle()
+    sched.tick()
+    expect(task.isDone).toBe(false)
+    resolve(42)
+    await settle()
+    sched.tick()
+    expect(task.result).toBe(42)
+})
+
+test('waitFor accepts plain values', async () => {
+    const sched = new coro.Schedule()
+    const task = sched.add(coro.waitFor(7))
+    sched.tick()
+    await settle()
+    sched.tick()
+    expect(task.result).toBe(7)
+})
+
+test('task.promise resolves with the result', async () => {
+    const sched = new coro.Schedule()
+    const task = sched.add(function* () { yield; return 'result' })
+    const promise = task.promise()
+    expect(task.promise()).toBe(promise)
+    sched.tick()
+    sched.tick()
+    await expect(promise).resolves.toBe('result')
+})
+
+test('task.promise rejects with the error', async () => {
+    const sched = new coro.Schedule({ errorPolicy: () => {} })
+    const task = sched.add(function* () { yield; throw 'error' })
+    const promise = task.promise()
+    sched.tick()
+    sched.tick()
+    await expect(promise).rejects.toBe('error')
+})
+
+test('task.promise rejects when cancelled', async () => {
+    const sched = new coro.Schedule()
+    const task = sched.add(function* () { while(true) yield }, { name: 'loop' })
+    const promise = task.promise()
+    sched.tick()
+    task.cancel()
+    await expect(promise).rejects.toBeInstanceOf(coro.CancelledError)
+    await expect(promise).rejects.toHaveProperty('task', task)
+})
+
+test('task.promise of a finished task settles', async () => {
+    const sched = new coro.Schedule()
+    const task = sched.add(function* () { return 1 })
+    sched.tick()
+    await expect(task.promise()).resolves.toBe(1)
+})
+
+test('coroutines and promises can wait on each other', async () => {
+    const sched = new coro.Schedule()
+    const producer = sched.add(function* () { yield; yield; return 'data' })
+    const consumer = sched.add(function* () {
+        return (yield* coro.waitFor(producer.promise())).toUpperCase()
+    })
+    while(!consumer.isDone) {
+        sched.tick()
+        await settle()
+    }
+    expect(consumer.result).toBe('DATA')
+})
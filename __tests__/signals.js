@@ -0,0 +1,115 @@
+import * as coro from '../lib/coroutines.js'
+import { Signal, any } from '../lib/signals.js'
+
+test('listeners are called with the payload', () => {
+    let value = []
+    const signal = new Signal()
+    const disconnect = signal.connect(x => value.push(['a', x]))
+    signal.connect(x => value.push(['b', x]))
+    signal.emit(1)
+    disconnect()
+    signal.emit(2)
+    expect(value).toStrictEqual([['a', 1], ['b', 1], ['b', 2]])
+})
+
+test('wait resumes with the payload', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const died = new Signal('died')
+    sched.add(function* () {
+        value.push(yield* died.wait())
+    })
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual([])
+    died.emit('goblin')
+    sched.tick()
+    expect(value).toStrictEqual(['goblin'])
+    expect(died.listeners.length).toBe(0)
+})
+
+test('emissions before the wait starts are ignored', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const signal = new Signal()
+    sched.add(function* () { value.push(yield* signal.wait()) })
+    signal.emit('early')
+    sched.tick()
+    signal.emit('late')
+    sched.tick()
+    expect(value).toStrictEqual(['late'])
+})
+
+test('waits keep the first matching payload', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const signal = new Signal()
+    sched.add(function* () { value.push(yield* signal.wait(x => x > 1)) })
+    sched.tick()
+    signal.emit(1)
+    signal.emit(2)
+    signal.emit(3)
+    sched.tick()
+    expect(value).toStrictEqual([2])
+})
+
+test('any resumes on the first signal to fire', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const a = new Signal('a')
+    const b = new Signal('b')
+    sched.add(function* () {
+        value.push(yield* any(a, [b, x => x === 'yes']))
+    })
+    sched.tick()
+    b.emit('no')
+    sched.tick()
+    expect(value).toStrictEqual([])
+    b.emit('yes')
+    a.emit('too late')
+    sched.tick()
+    expect(value).toStrictEqual([{ index: 1, signal: b, value: 'yes' }])
+    expect(a.listeners.length).toBe(0)
+    expect(b.listeners.length).toBe(0)
+})
+
+test('waits can be raced against seconds with first', () => {
+    let value = []
+    let time = 0
+    const sched = new coro.Schedule()
+    const signal = new Signal()
+    sched.add(function* () {
+        value.push(yield* coro.first(signal.wait(), coro.seconds(1, () => time)))
+        value.push(yield* coro.first(signal.wait(), coro.seconds(1, () => time)))
+    })
+    sched.tick()
+    signal.emit('fired')
+    sched.tick()
+    expect(value).toStrictEqual(['fired'])
+    time = 2
+    sched.tick()
+    expect(value).toStrictEqual(['fired', undefined])
+    expect(signal.listeners.length).toBe(0)
+})
+
+test('cancelled waits disconnect', () => {
+    const sched = new coro.Schedule()
+    const signal = new Signal()
+    const task = sched.add(function* () { yield* signal.wait() })
+    sched.tick()
+    expect(signal.listeners.length).toBe(1)
+    task.cancel()
+    expect(signal.listeners.length).toBe(0)
+})
+
+test('several coroutines can wait on one signal', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const signal = new Signal()
+    sched.add(function* () { value.push(['a', yield* signal.wait()]) })
+    sched.add(function* () { value.push(['b', yield* signal.wait()]) })
+    sched.tick()
+    signal.emit(1)
+    sched.tick()
+    expect(value).toStrictEqual([['a', 1], ['b', 1]])
+})
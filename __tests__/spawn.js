@@ -0,0 +1,177 @@
+import * as coro from '../lib/coroutines.js'
+
+function* forever(value, x) {
+    try {
+        while(true) { value.push(x); yield }
+    } finally {
+        value.push(`${x} finally`)
+    }
+}
+
+test('spawned coroutines run on the parent schedule', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    sched.add(function* () {
+        coro.spawn(forever(value, 'child'))
+        while(true) yield
+    })
+    sched.tick()
+    expect(sched.size).toBe(2)
+    expect(value).toStrictEqual([])
+    sched.tick()
+    expect(value).toStrictEqual(['child'])
+})
+
+test('spawned coroutines are cancelled when the parent completes', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    sched.add(function* () {
+        coro.spawn(forever(value, 'child'))
+        yield
+        yield
+    })
+    sched.tick()
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual(['child', 'child finally'])
+    expect(sched.size).toBe(0)
+})
+
+test('spawned coroutines are cancelled when the parent is cancelled', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const parent = sched.add(function* () {
+        coro.spawn(forever(value, 'a'))
+        coro.spawn(forever(value, 'b'))
+        while(true) yield
+    })
+    sched.tick()
+    sched.tick()
+    parent.cancel()
+    expect(value).toStrictEqual(['a', 'b', 'a finally', 'b finally'])
+    expect(sched.size).toBe(0)
+})
+
+test('spawned coroutines are cancelled when the parent throws', () => {
+    let value = []
+    const sched = new coro.Schedule({ errorPolicy: () => {} })
+    sched.add(function* () {
+        coro.spawn(forever(value, 'child'))
+        yield
+        yield
+        throw 'error'
+    })
+    sched.tick()
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual(['child', 'child finally'])
+    expect(sched.size).toBe(0)
+})
+
+test('spawned coroutines are cancelled when the parent is returned', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const parent = sched.add(function* () {
+        coro.spawn(forever(value, 'child'))
+        while(true) yield
+    })
+    sched.tick()
+    sched.tick()
+    parent.coro.return()
+    sched.tick()
+    expect(value).toStrictEqual(['child', 'child finally'])
+    expect(sched.size).toBe(0)
+})
+
+test('cancellation reaches all descendants', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const parent = sched.add(function* () {
+        coro.spawn(function* () {
+            coro.spawn(forever(value, 'grandchild'))
+            yield* forever(value, 'child')
+        })
+        while(true) yield
+    })
+    sched.tick()
+    sched.tick()
+    sched.tick()
+    parent.cancel()
+    expect(value).toStrictEqual(['child', 'child', 'grandchild', 'child finally', 'grandchild finally'])
+    expect(sched.size).toBe(0)
+})
+
+test('finished children are forgotten by their parent', () => {
+    const sched = new coro.Schedule()
+    let child
+    const parent = sched.add(function* () {
+        child = coro.spawn(function* () { yield })
+        while(true) yield
+    })
+    sched.tick()
+    expect(parent.children.has(child)).toBe(true)
+    expect(child.parent).toBe(parent)
+    sched.tick()
+    sched.tick()
+    expect(child.isDone).toBe(true)
+    expect(parent.children.has(child)).toBe(false)
+})
+
+test('spawn works from inside coro.all', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const parent = sched.add(function* () {
+        yield* coro.all(
+            function* () { coro.spawn(forever(value, 'a')); while(true) yield },
+            function* () { coro.spawn(forever(value, 'b')); while(true) yield }
+        )
+    })
+    sched.tick()
+    sched.tick()
+    parent.cancel()
+    expect(value).toStrictEqual(['a', 'b', 'a finally', 'b finally'])
+})
+
+test('currentTask is the running task', () => {
+    let seen = null
+    const sched = new coro.Schedule()
+    const task = sched.add(function* () { seen = coro.currentTask() })
+    expect(coro.currentTask()).toBe(null)
+    sched.tick()
+    expect(seen).toBe(task)
+    expect(coro.currentTask()).toBe(null)
+})
+
+test('spawn outside of a coroutine throws', () => {
+    expect(() => coro.spawn(function* () {})).toThrow()
+})
+
+test('every child is cancelled and every callback called when a child throws in finally', async () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const parent = sched.add(function* () {
+        coro.spawn(function* () { try { while(true) yield } finally { throw 'cleanup' } })
+        coro.spawn(forever(value, 'sibling'))
+        yield
+        yield
+    })
+    parent.onDone(() => value.push('done'))
+    const promise = parent.promise()
+    sched.tick()
+    sched.tick()
+    expect(() => sched.tick()).toThrow('cleanup')
+    expect(value).toStrictEqual(['sibling', 'sibling finally', 'done'])
+    expect(sched.size).toBe(0)
+    await expect(promise).resolves.toBe(undefined)
+})
+
+test('onDone callbacks that throw do not stop the others', () => {
+    let value = []
+    const sched = new coro.Schedule({ errorPolicy: e => value.push(e) })
+    const task = sched.add(function* () { yield })
+    task.onDone(() => { throw 'callback' })
+    task.onDone(() => value.push('second'))
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual(['callback', 'second'])
+})
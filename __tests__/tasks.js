@@ -0,0 +1,197 @@
+import * as coro from '../lib/coroutines.js'
+
+test('Schedule.add returns a task handle', () => {
+    const sched = new coro.Schedule()
+    function* co() { yield }
+    const instance = co()
+    const task = sched.add(instance)
+    expect(task).toBeInstanceOf(coro.Task)
+    expect(task.coro).toBe(instance)
+    expect(task.schedule).toBe(sched)
+    expect(task.isDone).toBe(false)
+})
+
+test('task reports result when coroutine completes', () => {
+    const sched = new coro.Schedule()
+    const task = sched.add(function* () {
+        yield
+        return 'result'
+    })
+    sched.tick()
+    expect(task.isDone).toBe(false)
+    sched.tick()
+    expect(task.isDone).toBe(true)
+    expect(task.isCancelled).toBe(false)
+    expect(task.result).toBe('result')
+    expect(task.schedule).toBe(null)
+})
+
+test('task reports error when coroutine throws', () => {
+    const sched = new coro.Schedule()
+    const task = sched.add(function* () {
+        yield
+        throw 'error'
+    })
+    sched.tick()
+    expect(() => sched.tick()).toThrow('error')
+    expect(task.isDone).toBe(true)
+    expect(task.error).toBe('error')
+    expect(sched.size).toBe(0)
+})
+
+test('task.cancel runs finally clauses', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const task = sched.add(function* () {
+        try {
+            while(true) { value.push('tick'); yield }
+        } finally {
+            value.push('finally')
+        }
+    })
+    sched.tick()
+    task.cancel()
+    sched.tick()
+    expect(value).toStrictEqual(['tick', 'finally'])
+    expect(task.isDone).toBe(true)
+    expect(task.isCancelled).toBe(true)
+    expect(sched.size).toBe(0)
+})
+
+test('task.cancel is idempotent', () => {
+    let value = 0
+    const sched = new coro.Schedule()
+    const task = sched.add(function* () {
+        try { while(true) yield } finally { value++ }
+    })
+    sched.tick()
+    task.cancel()
+    task.cancel()
+    expect(value).toBe(1)
+})
+
+test('Schedule.remove runs finally clauses', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    function* co(x) {
+        try { while(true) yield } finally { value.push(x) }
+    }
+    const a = co('a')
+    sched.add(a)
+    const b = sched.add(co('b'))
+    sched.tick()
+    sched.remove(a)
+    sched.remove(b)
+    expect(value).toStrictEqual(['a', 'b'])
+    expect(sched.size).toBe(0)
+})
+
+test('Schedule.remove finds coroutines that are not at the front', () => {
+    let value = 0
+    const sched = new coro.Schedule()
+    function* co(x) { while(true) { value += x; yield } }
+    sched.add(co(1))
+    sched.add(co(2))
+    const third = co(4)
+    sched.add(third)
+    sched.add(co(8))
+    sched.remove(third)
+    sched.tick()
+    expect(value).toBe(11)
+    expect(sched.size).toBe(3)
+})
+
+test('Schedule.remove ignores coroutines not on the schedule', () => {
+    const sched = new coro.Schedule()
+    sched.add(function* () { yield })
+    sched.remove((function* () {})())
+    expect(sched.size).toBe(1)
+})
+
+test('Schedule.removeAll runs finally clauses in order', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    function* co(x) {
+        try { while(true) yield } finally { value.push(x) }
+    }
+    sched.add(co(1))
+    sched.add(co(2))
+    sched.add(co(3))
+    sched.tick()
+    sched.removeAll()
+    expect(value).toStrictEqual([1, 2, 3])
+    expect(sched.size).toBe(0)
+})
+
+test('cancelling a later coroutine during tick skips it', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    let second
+    sched.add(function* () {
+        yield
+        value.push('first')
+        second.cancel()
+    })
+    second = sched.add(function* () {
+        try {
+            while(true) { value.push('second'); yield }
+        } finally {
+            value.push('second finally')
+        }
+    })
+    sched.add(function* () { yield; value.push('third') })
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual(['second', 'first', 'second finally', 'third'])
+})
+
+test('a coroutine can cancel its own task', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const task = sched.add(function* () {
+        try {
+            value.push('before')
+            task.cancel()
+            value.push('after')
+            yield
+            value.push('never')
+        } finally {
+            value.push('finally')
+        }
+    })
+    sched.tick()
+    sched.tick()
+    expect(value).toStrictEqual(['before', 'after', 'finally'])
+    expect(task.isCancelled).toBe(true)
+    expect(sched.size).toBe(0)
+})
+
+test('onDone is called when the task completes', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const task = sched.add(function* () { yield; return 1 })
+    task.onDone(t => value.push(['a', t.result]))
+        .onDone(t => value.push(['b', t.result]))
+    sched.tick()
+    expect(value).toStrictEqual([])
+    sched.tick()
+    expect(value).toStrictEqual([['a', 1], ['b', 1]])
+})
+
+test('onDone is called when the task is cancelled', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const task = sched.add(function* () { while(true) yield })
+    task.onDone(t => value.push(t.isCancelled))
+    task.cancel()
+    expect(value).toStrictEqual([true])
+})
+
+test('onDone is called immediately on finished tasks', () => {
+    let value = []
+    const sched = new coro.Schedule()
+    const task = sched.add(function* () { })
+    sched.tick()
+    task.onDone(t => value.push(t.isDone))
+    expect(value).toStrictEqual([true])
+})
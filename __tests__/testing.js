@@ -0,0 +1,132 @@
+import * as coro from '../lib/coroutines.js'
+import { Input, time } from '../lib/input.js'
+import { Output } from '../lib/output.js'
+import { Harness, VirtualClock } from '../lib/testing.js'
+
+let harness
+afterEach(() => harness && harness.dispose())
+
+test('virtual clocks only move when advanced', () => {
+    const clock = new VirtualClock(1)
+    expect(clock.now()).toBe(1)
+    expect(clock.advance(0.5)).toBe(1.5)
+    expect(clock.time).toBe(1.5)
+})
+
+test('step advances input, schedule and output together', () => {
+    let log = []
+    const input = new Input([time])
+    class Log { commit() { log.push(['commit', input.now.time.frame]) } }
+    const output = new Output([Log])
+    harness = new Harness({ input, output, fps: 10 })
+    harness.schedule.add(function* () {
+        while(true) { log.push(['tick', input.now.time.frame]); yield }
+    })
+    harness.step(2)
+    expect(log).toStrictEqual([['tick', 0], ['commit', 0], ['tick', 1], ['commit', 1]])
+    expect(input.now.time.delta).toBeCloseTo(0.1)
+    expect(harness.frame).toBe(2)
+})
+
+test('step by seconds', () => {
+    let value = []
+    harness = new Harness({ fps: 4 })
+    harness.schedule.add(function* () {
+        yield* coro.seconds(1)
+        value.push(harness.frame)
+    })
+    expect(harness.step({ seconds: 0.5 })).toBe(2)
+    expect(value).toStrictEqual([])
+    harness.step({ seconds: 0.75 })
+    expect(value).toStrictEqual([4])
+    expect(harness.time).toBe(1.25)
+    expect(harness.step({ frames: 3 })).toBe(3)
+})
+
+test('harnesses leave other clocks alone', () => {
+    const other = new coro.Schedule()
+    const otherInput = new Input([time])
+    const start = other.clock.time
+    const input = new Input([time])
+    harness = new Harness({ input })
+    harness.step(30)
+    otherInput.collect()
+    expect(other.clock.time - start).toBeLessThan(0.5)
+    expect(input.now.time.now).toBeCloseTo(0.5)
+    expect(otherInput.now.time.now).not.toBeCloseTo(0.5)
+})
+
+test('stepUntil steps until a condition holds', () => {
+    let done = false
+    harness = new Harness()
+    harness.schedule.add(function* () {
+        yield* coro.frames(5)
+        done = true
+    })
+    expect(harness.stepUntil(() => done)).toBe(6)
+    expect(() => harness.stepUntil(() => false, 10)).toThrow('after 10 frames')
+})
+
+test('harness inspects live tasks and what they wait on', async () => {
+    harness = new Harness()
+    harness.schedule.add(function* timer() { yield 2 })
+    harness.schedule.add(function* cooldown() { yield* coro.seconds(3) })
+    harness.schedule.add(function* poller() { while(true) yield })
+    harness.schedule.add(function* loader() { yield new Promise(() => {}) })
+    harness.step()
+    expect(harness.inspect()).toStrictEqual([
+        { name: 'timer', waitingOn: 'seconds(2)' },
+        { name: 'cooldown', waitingOn: 'seconds(3)' },
+        { name: 'poller', waitingOn: 'next frame' },
+        { name: 'loader', waitingOn: 'promise' }
+    ])
+})
+
+test('harness inspects the schedule it is given until disposed', () => {
+    const schedule = new coro.PhasedSchedule(['update', 'render'])
+    harness = new Harness({ schedule })
+    expect(schedule.schedules.get('render').inspecting).toBe(true)
+    harness.dispose()
+    harness = null
+    expect(schedule.schedules.get('update').inspecting).toBe(false)
+    expect(schedule.schedules.get('render').inspecting).toBe(false)
+})
+
+test('harness assertions', () => {
+    harness = new Harness()
+    const task = harness.schedule.add(function* enemy() { yield* coro.frames(2) })
+    harness.assertAlive('enemy', task)
+    expect(() => harness.assertDone('enemy')).toThrow(/Expected enemy to be done\nFrame 0, 1 live tasks:\n  enemy: waiting on next frame/)
+    harness.step(3)
+    harness.assertDone('enemy', task)
+    expect(() => harness.assertAlive('enemy')).toThrow('Expected enemy to be alive')
+    expect(harness.isAlive(task)).toBe(false)
+})
+
+test('harness works with phased schedules', () => {
+    harness = new Harness({ schedule: new coro.PhasedSchedule(['update', 'render']) })
+    harness.schedule.add(function* a() { while(true) yield }, { phase: 'render' })
+    harness.schedule.add(function* b() { while(true) yield })
+    harness.step()
+    expect(harness.tasks().map(String)).toStrictEqual(['b', 'a'])
+})
+
+test('dispose restores the input clock', () => {
+    const clock = () => 42
+    const input = new Input([time], { clock })
+    harness = new Harness({ input })
+    expect(input.clock).toBe(harness.clock.now)
+    harness.dispose()
+    harness = null
+    expect(input.clock).toBe(clock)
+    input.collect()
+    expect(input.now.time.now).toBe(42)
+})
+
+test('assertDone fails for tasks that were never seen', () => {
+    harness = new Harness()
+    harness.schedule.add(function* quick() { })
+    harness.step()
+    harness.assertDone('quick')
+    expect(() => harness.assertDone('quikc')).toThrow('no task named quikc was ever seen')
+})
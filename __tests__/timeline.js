@@ -0,0 +1,166 @@
+import { Timeline } from '../lib/timeline.js'
+import { easing } from '../lib/tween.js'
+import { virtualSchedule } from './helpers/schedule.js'
+
+test('tracks interpolate between keyframes', () => {
+    const target = { x: 0, color: '#000000' }
+    const timeline = new Timeline()
+        .track(target, 'x', [{ time: 0, value: 0 }, { time: 2, value: 10 }, { time: 4, value: 0 }])
+        .track(target, 'color', [{ time: 0, value: '#000000' }, { time: 4, value: '#ffffff' }])
+    expect(timeline.duration).toBe(4)
+    timeline.seek(1)
+    expect(target).toStrictEqual({ x: 5, color: '#404040' })
+    timeline.seek(3)
+    expect(target.x).toBe(5)
+    timeline.seek(10)
+    expect(timeline.time).toBe(4)
+    expect(target).toStrictEqual({ x: 0, color: '#ffffff' })
+})
+
+test('keyframes ease the segment leading to them', () => {
+    const target = { x: 0 }
+    const timeline = new Timeline()
+        .track(target, 'x', [{ time: 0, value: 0 }, { time: 1, value: 1, ease: easing.easeInQuad }])
+    timeline.seek(0.5)
+    expect(target.x).toBe(0.25)
+})
+
+test('tracks only change their property when the playhead reaches them', () => {
+    const target = { x: 'untouched' }
+    const timeline = new Timeline()
+        .track(target, 'x', [{ time: 2, value: 0 }, { time: 3, value: 1 }])
+    timeline.seek(1)
+    expect(target.x).toBe('untouched')
+    timeline.seek(2.5)
+    expect(target.x).toBe(0.5)
+    timeline.seek(5)
+    expect(target.x).toBe(1)
+})
+
+test('callbacks fire when crossed in either direction', () => {
+    let value = []
+    const timeline = new Timeline()
+        .call(0, d => value.push(['start', d]))
+        .call(1, d => value.push(['a', d]))
+        .call(2, d => value.push(['b', d]))
+    timeline.seek(1.5)
+    expect(value).toStrictEqual([['start', 1], ['a', 1]])
+    timeline.seek(1.5)
+    timeline.seek(2)
+    expect(value).toStrictEqual([['start', 1], ['a', 1], ['b', 1]])
+    value = []
+    timeline.seek(0)
+    expect(value).toStrictEqual([['b', -1], ['a', -1], ['start', -1]])
+})
+
+test('callbacks fire when the playhead reaches them, not when it leaves', () => {
+    let value = []
+    const timeline = new Timeline()
+        .call(1, d => value.push(['a', d]))
+        .call(3, d => value.push(['b', d]))
+        .call(4, () => {})
+    timeline.seek(3)
+    expect(value).toStrictEqual([['a', 1], ['b', 1]])
+    timeline.seek(1)
+    expect(value).toStrictEqual([['a', 1], ['b', 1], ['a', -1]])
+    timeline.seek(0)
+    expect(value).toStrictEqual([['a', 1], ['b', 1], ['a', -1]])
+})
+
+test('silent seeks skip callbacks', () => {
+    let value = 0
+    const timeline = new Timeline().call(1, () => value++)
+    timeline.seek(2, { silent: true })
+    expect(value).toBe(0)
+    expect(timeline.time).toBe(1)
+})
+
+test('play advances the playhead with the clock', () => {
+    let value = []
+    const target = { x: 0 }
+    const { sched, step } = virtualSchedule()
+    const timeline = new Timeline()
+        .track(target, 'x', [{ time: 0, value: 0 }, { time: 1, value: 100 }])
+        .call(1, () => value.push('end'))
+    const task = sched.add(timeline.play())
+    step(0)
+    step(0.25)
+    expect(target.x).toBe(25)
+    step(1.75)
+    expect(target.x).toBe(100)
+    expect(value).toStrictEqual(['end'])
+    expect(task.isDone).toBe(true)
+})
+
+test('play in reverse', () => {
+    let time = 0
+    const target = { x: 0 }
+    const timeline = new Timeline().track(target, 'x', [{ time: 0, value: 0 }, { time: 1, value: 100 }])
+    const play = timeline.play({ rate: -2, clock: () => time })
+    play.next()
+    expect(target.x).toBe(100)
+    time = 0.25
+    play.next()
+    expect(target.x).toBe(50)
+    time = 1
+    expect(play.next().done).toBe(true)
+    expect(target.x).toBe(0)
+})
+
+test('play loops, optionally back and forth', () => {
+    let time = 0
+    let value = []
+    const timeline = new Timeline()
+        .call(0, d => value.push(['start', d]))
+        .call(1, d => value.push(['end', d]))
+    const play = timeline.play({ loop: 1, clock: () => time })
+    play.next()
+    time = 1.5
+    play.next()
+    expect(value).toStrictEqual([['start', 1], ['end', 1], ['start', 1]])
+    time = 2
+    expect(play.next().done).toBe(true)
+    expect(value.length).toBe(4)
+
+    value = []
+    time = 0
+    timeline.seek(0, { silent: true })
+    const yoyo = timeline.play({ loop: true, yoyo: true, clock: () => time })
+    yoyo.next()
+    time = 1.5
+    yoyo.next()
+    expect(timeline.time).toBe(0.5)
+    expect(value).toStrictEqual([['start', 1], ['end', 1], ['end', -1]])
+})
+
+test('sub-timelines follow the playhead from their start time', () => {
+    let value = []
+    const target = { x: 0 }
+    const child = new Timeline()
+        .track(target, 'x', [{ time: 0, value: 0 }, { time: 1, value: 10 }])
+        .call(0.5, d => value.push(['child', d]))
+    const timeline = new Timeline()
+        .call(1, d => value.push(['parent', d]))
+        .add(2, child)
+    expect(timeline.duration).toBe(3)
+    timeline.seek(1)
+    expect(child.time).toBe(0)
+    timeline.seek(2.5)
+    expect(child.time).toBe(0.5)
+    expect(target.x).toBe(5)
+    timeline.seek(4)
+    expect(target.x).toBe(10)
+    timeline.seek(0)
+    expect(target.x).toBe(0)
+    expect(value).toStrictEqual([['parent', 1], ['child', 1], ['child', -1], ['parent', -1]])
+})
+
+test('cancelling play leaves the playhead where it was', () => {
+    const { sched, step } = virtualSchedule()
+    const timeline = new Timeline().call(10, () => {})
+    const task = sched.add(timeline.play())
+    step(0)
+    step(3)
+    task.cancel()
+    expect(timeline.time).toBe(3)
+})
@@ -0,0 +1,145 @@
+import * as coro from '../lib/coroutines.js'
+import { tween, easing, mix, lerp } from '../lib/tween.js'
+import { virtualSchedule } from './helpers/schedule.js'
+
+test('tween animates numeric properties', () => {
+    const { sched, step } = virtualSchedule()
+    const target = { x: 0, y: 10 }
+    sched.add(tween(target, { x: 10, y: 0 }, 1))
+    step(0)
+    expect(target).toStrictEqual({ x: 0, y: 10 })
+    step(0.25)
+    expect(target).toStrictEqual({ x: 2.5, y: 7.5 })
+    step(1)
+    expect(target).toStrictEqual({ x: 10, y: 0 })
+    expect(sched.size).toBe(0)
+})
+
+test('tween animates nested vectors and colors', () => {
+    const { sched, step } = virtualSchedule()
+    const target = { position: [0, 0, 0], color: { r: 0, g: 1, b: 0 }, fill: '#000' }
+    sched.add(tween(target, { position: [2, 4, 6], color: { r: 1, g: 0 }, fill: '#ffffff' }, 1))
+    step(0)
+    step(0.5)
+    expect(target.position).toStrictEqual([1, 2, 3])
+    expect(target.color).toStrictEqual({ r: 0.5, g: 0.5, b: 0 })
+    expect(target.fill).toBe('#808080')
+})
+
+test('tween applies easing', () => {
+    const { sched, step } = virtualSchedule()
+    const target = { x: 0 }
+    sched.add(tween(target, { x: 1 }, 1, { ease: easing.easeInQuad }))
+    step(0)
+    step(0.5)
+    expect(target.x).toBe(0.25)
+})
+
+test('tween waits for its delay and reads start values after it', () => {
+    const { sched, step } = virtualSchedule()
+    const target = { x: 0 }
+    sched.add(tween(target, { x: 10 }, 1, { delay: 1 }))
+    step(0)
+    step(0.5)
+    target.x = 5
+    step(0.25)
+    expect(target.x).toBe(5)
+    step(0.25)
+    step(0.5)
+    expect(target.x).toBe(7.5)
+})
+
+test('tween starts from given values', () => {
+    const { sched, step } = virtualSchedule()
+    const target = { x: 100 }
+    sched.add(tween(target, { x: 10 }, 1, { from: { x: 0 } }))
+    step(0)
+    expect(target.x).toBe(0)
+})
+
+test('tween loops and yoyos', () => {
+    const { sched, step } = virtualSchedule()
+    const target = { x: 0 }
+    sched.add(tween(target, { x: 10 }, 1, { loop: 2, yoyo: true }))
+    step(0)
+    step(0.5)
+    expect(target.x).toBe(5)
+    step(0.75)
+    expect(target.x).toBe(7.5)
+    step(1)
+    expect(target.x).toBe(2.5)
+    expect(sched.size).toBe(1)
+    step(1)
+    expect(target.x).toBe(10)
+    expect(sched.size).toBe(0)
+})
+
+test('tween yoyo with an even number of passes ends at the start', () => {
+    const { sched, step } = virtualSchedule()
+    const target = { x: 0 }
+    sched.add(tween(target, { x: 10 }, 1, { loop: 1, yoyo: true }))
+    step(0)
+    step(3)
+    expect(target.x).toBe(0)
+    expect(sched.size).toBe(0)
+})
+
+test('tween loops forever', () => {
+    const { sched, step } = virtualSchedule()
+    const target = { x: 0 }
+    sched.add(tween(target, { x: 10 }, 1, { loop: true }))
+    step(0)
+    step(100.5)
+    expect(target.x).toBe(5)
+    expect(sched.size).toBe(1)
+})
+
+test('tween composes with first', () => {
+    const { sched, step } = virtualSchedule()
+    const target = { x: 0 }
+    let value = []
+    sched.add(function* () {
+        value.push(yield* coro.first(
+            tween(target, { x: 10 }, 10),
+            function* () { yield* coro.seconds(1); return 'interrupted' }
+        ))
+    })
+    step(0)
+    step(1)
+    expect(value).toStrictEqual(['interrupted'])
+    expect(target.x).toBe(1)
+})
+
+test('tween follows the schedule clock scale', () => {
+    const { sched, step } = virtualSchedule()
+    const target = { x: 0 }
+    sched.clock.scale = 0.5
+    sched.add(tween(target, { x: 10 }, 1))
+    step(0)
+    step(1)
+    expect(target.x).toBe(5)
+})
+
+test('tween rejects values it cannot animate', () => {
+    const { sched, step } = virtualSchedule()
+    sched.add(tween({ name: 'a' }, { name: 'b' }, 1))
+    expect(() => step(0)).toThrow()
+})
+
+test('easing functions start at 0 and end at 1', () => {
+    for (const f of Object.values(easing)) {
+        expect(Math.abs(f(0))).toBeLessThan(1e-9)
+        expect(Math.abs(f(1) - 1)).toBeLessThan(1e-9)
+    }
+    expect(easing.linear(0.3)).toBe(0.3)
+    expect(easing.easeInOutCubic(0.5)).toBe(0.5)
+})
+
+test('mix interpolates values', () => {
+    expect(lerp(0, 10, 0.5)).toBe(5)
+    expect(mix(0, 10, 0.5)).toBe(5)
+    expect(mix('#000000', '#ffffff', 0.5)).toBe('#808080')
+    expect(mix({ position: [0, 0] }, { position: [2, 4] }, 0.5)).toStrictEqual({ position: [1, 2] })
+    expect(mix('a', 'b', 0.5)).toBe('a')
+    expect(mix('a', 'b', 1)).toBe('b')
+})
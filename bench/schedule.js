@@ -0,0 +1,115 @@
+// Compares Schedule and PooledSchedule on swarms of short lived coroutines.
+//
+//     npm run bench
+//     npm run bench -- 50000   # swarm size
+//
+// Reports milliseconds per tick, how many garbage collections ran and how
+// long they took, and how much the heap grew over the run. Run through npm,
+// or with node --expose-gc, so every benchmark starts from a clean heap.
+
+import { PerformanceObserver } from "perf_hooks"
+import { Schedule, PooledSchedule, all } from "../lib/coroutines.js"
+
+const swarm = Number(process.argv[2]) || 20000
+const ticks = 300
+const lifetime = 60
+
+function collect() {
+    if (global.gc)
+        global.gc()
+}
+
+function heap() {
+    collect()
+    return process.memoryUsage().heapUsed
+}
+
+async function measure(name, setup) {
+    const tick = setup()
+    // warm up so that pools and arrays are at their working size
+    for (let i = 0; i < lifetime * 2; i++)
+        tick()
+    const heapBefore = heap()
+    const collections = []
+    const observer = new PerformanceObserver(list => collections.push(...list.getEntries()))
+    observer.observe({ entryTypes: ["gc"] })
+    const start = performance.now()
+    for (let i = 0; i < ticks; i++)
+        tick()
+    const elapsed = performance.now() - start
+    // gc entries are delivered asynchronously
+    await new Promise(resolve => setTimeout(resolve, 50))
+    observer.disconnect()
+    return {
+        benchmark: name,
+        "ms/tick": +(elapsed / ticks).toFixed(3),
+        "GCs": collections.length,
+        "GC ms": +collections.reduce((sum, entry) => sum + entry.duration, 0).toFixed(1),
+        "heap growth (KB)": Math.round((heap() - heapBefore) / 1024)
+    }
+}
+
+function* bullet(state, frames) {
+    while (frames-- > 0) {
+        state.x += state.dx
+        yield
+    }
+}
+
+// a fixed population where every coroutine is replaced when it finishes
+function churn(Schedule) {
+    return () => {
+        const schedule = new Schedule()
+        const state = { x: 0, dx: 1 }
+        function* spawner() {
+            while (true) {
+                // finish at staggered times so a share is replaced every tick
+                for (let i = 0; i < swarm / lifetime; i++)
+                    schedule.add(bullet(state, lifetime))
+                yield
+            }
+        }
+        schedule.add(spawner())
+        return schedule.tick
+    }
+}
+
+// long lived coroutines that only ever yield
+function steady(Schedule) {
+    return () => {
+        const schedule = new Schedule()
+        const state = { x: 0, dx: 1 }
+        for (let i = 0; i < swarm; i++)
+            schedule.add(bullet(state, Infinity))
+        return schedule.tick
+    }
+}
+
+// one coroutine waiting on a large group whose members finish over time
+function group() {
+    const schedule = new Schedule()
+    const state = { x: 0, dx: 1 }
+    const size = Math.min(swarm, 5000)
+    function* waves() {
+        while (true) {
+            const members = []
+            for (let i = 0; i < size; i++)
+                members.push(bullet(state, i % lifetime))
+            yield* all(...members)
+        }
+    }
+    schedule.add(waves())
+    return schedule.tick
+}
+
+if (!global.gc)
+    console.warn("run with --expose-gc for accurate heap numbers")
+
+console.log(`${swarm} coroutines, ${ticks} ticks\n`)
+console.table([
+    await measure("Schedule, churn", churn(Schedule)),
+    await measure("PooledSchedule, churn", churn(PooledSchedule)),
+    await measure("Schedule, steady", steady(Schedule)),
+    await measure("PooledSchedule, steady", steady(PooledSchedule)),
+    await measure("all, waves", group)
+])
@@ -2,5 +2,7 @@ export default {
   // testEnvironment: 'jest-environment-node',
   collectCoverage: true,
   coverageDirectory: "coverage",
+  coveragePathIgnorePatterns: ["/node_modules/", "/__tests__/"],
+  testPathIgnorePatterns: ["/node_modules/", "/__tests__/helpers/"],
   transform: {}
 };
\ No newline at end of file
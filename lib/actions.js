@@ -0,0 +1,470 @@
+/** @module actions */
+
+import { gamepadButtons } from "./input.js"
+
+const padAxes = {
+    leftX: pad => pad.sticks.left.x,
+    leftY: pad => pad.sticks.left.y,
+    rightX: pad => pad.sticks.right.x,
+    rightY: pad => pad.sticks.right.y,
+    leftTrigger: pad => pad.triggers.left,
+    rightTrigger: pad => pad.triggers.right
+}
+
+const pointerAxes = {
+    dx: now => now.pointer.primary ? now.pointer.primary.dx : 0,
+    dy: now => now.pointer.primary ? now.pointer.primary.dy : 0,
+    wheelX: now => now.pointer.wheel.x,
+    wheelY: now => now.pointer.wheel.y
+}
+
+/**
+ * Parses a binding source into a function that reads its value from a frame
+ * of input.
+ *
+ * @ignore
+ * @param {string} source
+ * @returns {function(Object):number}
+ */
+function parseSource(source) {
+    const match = /^([+-]?)(key|mouse|pad):(.+)$/.exec(source)
+    if(!match)
+        throw new Error(`unknown binding source ${source}`)
+    const [, sign, device, name] = match
+    let read
+    if(device === "key") {
+        read = now => now.keyboard && now.keyboard.code.down[name] ? 1 : 0
+    } else if(device === "mouse") {
+        if(name in pointerAxes)
+            read = now => now.pointer ? pointerAxes[name](now) : 0
+        else if(/^\d+$/.test(name))
+            read = now => now.pointer && now.pointer.primary && now.pointer.primary.buttons.down[name] ? 1 : 0
+        else
+            throw new Error(`unknown binding source ${source}`)
+    } else {
+        const pad = now => now.gamepad && now.gamepad.primary
+        if(name in padAxes)
+            read = now => pad(now) ? padAxes[name](pad(now)) : 0
+        else if(gamepadButtons.includes(name))
+            read = now => pad(now) && pad(now).buttons.down[name] ? 1 : 0
+        else
+            throw new Error(`unknown binding source ${source}`)
+    }
+    if(sign === "+")
+        return now => Math.max(0, read(now))
+    if(sign === "-")
+        return now => Math.max(0, -read(now))
+    return read
+}
+
+/**
+ * Parses a binding into a function that reads the value of an action of the
+ * given type from a frame of input.
+ *
+ * @ignore
+ * @param {string} type
+ * @param {Binding} binding
+ * @returns {function(Object):(number|{x: number, y: number})}
+ */
+function parseBinding(type, binding) {
+    if(typeof binding === "string") {
+        const read = parseSource(binding)
+        if(type !== "vector")
+            return read
+        throw new Error(`vector actions need composite bindings, got ${binding}`)
+    }
+    const parts = {}
+    for (const part of Object.keys(binding))
+        parts[part] = parseSource(binding[part])
+    const value = (part, now) => parts[part] ? parts[part](now) : 0
+    if(type === "axis" && Object.keys(parts).every(part => part === "negative" || part === "positive"))
+        return now => value("positive", now) - value("negative", now)
+    if(type === "vector" && Object.keys(parts).every(part => part === "x" || part === "y"))
+        return now => ({ x: value("x", now), y: value("y", now) })
+    if(type === "vector" && Object.keys(parts).every(part => ["up", "down", "left", "right"].includes(part)))
+        return now => {
+            const x = value("right", now) - value("left", now)
+            const y = value("down", now) - value("up", now)
+            const length = Math.hypot(x, y)
+            return length > 1 ? { x: x / length, y: y / length } : { x, y }
+        }
+    throw new Error(`invalid binding for ${type} action: ${JSON.stringify(binding)}`)
+}
+
+/**
+ * Turns an action definition into its full form.
+ *
+ * @ignore
+ * @param {Array|ActionDefinition} definition
+ * @returns {ActionDefinition}
+ */
+function normalize(definition) {
+    const { type = "button", bindings = [] } = Array.isArray(definition) ? { bindings: definition } : definition
+    if(type !== "button" && type !== "axis" && type !== "vector")
+        throw new Error(`unknown action type ${type}, expected button, axis or vector`)
+    return { type, bindings: bindings.slice() }
+}
+
+/**
+ * The value an action of the given type has when nothing is pressed.
+ *
+ * @ignore
+ */
+function neutral(type) {
+    return type === "vector" ? { x: 0, y: 0 } : 0
+}
+
+/**
+ * Named actions bound to raw inputs.
+ *
+ * Game code asks whether `jump` was pressed instead of whether `Space` was, so
+ * players can rebind controls and one action can be triggered from several
+ * devices. Actions are read from the snapshots of the {@link keyboard},
+ * {@link pointer} and {@link gamepad} input functions by an {@link actions}
+ * stage placed after them in the input pipeline.
+ *
+ * Actions are grouped into *contexts*, e.g. `gameplay` and `menu`, that can be
+ * enabled and disabled at runtime. Actions of disabled contexts are still
+ * reported, with nothing pressed. If an action is defined in more than one
+ * enabled context, the most recently enabled one wins.
+ *
+ * There are three types of action:
+ *
+ * * `button` actions report `{down, pressed, released, value}`, and are down
+ *   while any of their bindings' values is at least `threshold`. Stick axes
+ *   count in their positive direction only, bind half axes such as
+ *   `-pad:leftY` to press a button by pushing a stick the other way
+ * * `axis` actions report a number, `-1` to `1` for a stick or a pair of keys
+ * * `vector` actions report `{x, y}`, for a stick or four keys such as WASD.
+ *   Key composites are normalized so diagonals are no faster than straight
+ *   lines
+ *
+ * Axes and vectors take the value of the binding pushed furthest, so a player
+ * can switch between keyboard and gamepad at any time.
+ *
+ * Bindings are plain strings and objects, so a map can be saved with
+ * `JSON.stringify` and restored with {@link ActionMap.fromJSON}.
+ *
+ * @example
+ * const controls = new ActionMap({
+ *      gameplay: {
+ *          jump: ["key:Space", "pad:a"],
+ *          fire: ["mouse:0", "pad:rightTrigger"],
+ *          move: {
+ *              type: "vector",
+ *              bindings: [
+ *                  { up: "key:KeyW", left: "key:KeyA", down: "key:KeyS", right: "key:KeyD" },
+ *                  { x: "pad:leftX", y: "pad:leftY" }
+ *              ]
+ *          }
+ *      },
+ *      menu: {
+ *          select: ["key:Enter", "pad:a"]
+ *      }
+ * }, { enabled: ["gameplay"] })
+ *
+ * const input = new Input([keyboard(window), pointer(canvas), gamepad(), actions(controls)])
+ * input.collect()
+ * if(input.now.actions.jump.pressed) player.jump()
+ * player.walk(input.now.actions.move.x, input.now.actions.move.y)
+ */
+export class ActionMap {
+    /**
+     * @param {Object<string, Object<string, Array|ActionDefinition>>} [contexts]
+     *  Action definitions by context and action name. An array is a `button`
+     *  action with those bindings
+     * @param {Object} [options]
+     * @param {string[]} [options.enabled] Contexts to enable, defaults to all
+     *  of them in order
+     * @param {number} [options.threshold=0.5] Value at which `button` actions
+     *  are down
+     */
+    constructor(contexts = {}, { enabled = Object.keys(contexts), threshold = 0.5 } = {}) {
+        this.contexts = {}
+        this.enabled = []
+        this.threshold = threshold
+        this.readers = new WeakMap() // definition -> parsed readers of its bindings
+        for (const context of Object.keys(contexts))
+            for (const action of Object.keys(contexts[context]))
+                this.define(context, action, contexts[context][action])
+        for (const context of enabled)
+            this.enable(context)
+    }
+
+    /**
+     * Defines an action, replacing any action of the same name in `context`.
+     *
+     * @param {string} context Context to define the action in, created if
+     *  it does not exist
+     * @param {string} action Action name
+     * @param {Array|ActionDefinition} definition Type and bindings of the action
+     * @returns {ActionMap} This map
+     */
+    define(context, action, definition) {
+        const normalized = normalize(definition)
+        const readers = normalized.bindings.map(binding => parseBinding(normalized.type, binding))
+        this.contexts[context] = this.contexts[context] || {}
+        this.contexts[context][action] = normalized
+        this.readers.set(normalized, readers)
+        return this
+    }
+
+    /**
+     * Enables a context, giving its actions precedence over those of the
+     * contexts enabled before it.
+     *
+     * @param {string} context
+     * @returns {ActionMap} This map
+     */
+    enable(context) {
+        if(!(context in this.contexts))
+            throw new Error(`unknown context ${context}`)
+        this.disable(context)
+        this.enabled.push(context)
+        return this
+    }
+
+    /**
+     * @param {string} context
+     * @returns {ActionMap} This map
+     */
+    disable(context) {
+        const index = this.enabled.indexOf(context)
+        if(index !== -1)
+            this.enabled.splice(index, 1)
+        return this
+    }
+
+    /**
+     * @param {string} context
+     * @returns {boolean} `true` if `context` is enabled
+     */
+    isEnabled(context) {
+        return this.enabled.includes(context)
+    }
+
+    /**
+     * @ignore
+     */
+    definition(context, action) {
+        const definition = this.contexts[context] && this.contexts[context][action]
+        if(!definition)
+            throw new Error(`unknown action ${action} in context ${context}`)
+        return definition
+    }
+
+    /**
+     * @param {string} context
+     * @param {string} action
+     * @returns {Binding[]} A copy of the bindings of `action`
+     */
+    bindings(context, action) {
+        return this.definition(context, action).bindings.slice()
+    }
+
+    /**
+     * Adds a binding to an action.
+     *
+     * @param {string} context
+     * @param {string} action
+     * @param {Binding} binding
+     * @returns {ActionMap} This map
+     */
+    bind(context, action, binding) {
+        const definition = this.definition(context, action)
+        this.readers.get(definition).push(parseBinding(definition.type, binding))
+        definition.bindings.push(binding)
+        return this
+    }
+
+    /**
+     * Removes a binding from an action.
+     *
+     * @param {string} context
+     * @param {string} action
+     * @param {Binding} binding The binding, compared by value
+     * @returns {boolean} `true` if the binding was found
+     */
+    unbind(context, action, binding) {
+        const definition = this.definition(context, action)
+        const key = JSON.stringify(binding)
+        const index = definition.bindings.findIndex(b => JSON.stringify(b) === key)
+        if(index === -1)
+            return false
+        definition.bindings.splice(index, 1)
+        this.readers.get(definition).splice(index, 1)
+        return true
+    }
+
+    /**
+     * Replaces one of the bindings of an action, or adds it if there is no
+     * binding at `index`, e.g. when the player picks a new key in a controls
+     * menu.
+     *
+     * @param {string} context
+     * @param {string} action
+     * @param {number} index Index of the binding to replace
+     * @param {Binding} binding The new binding
+     * @returns {ActionMap} This map
+     *
+     * @example
+     * function* rebindJump(input) {
+     *      let source
+     *      while(!(source = pressedSource(input.now)))
+     *          yield
+     *      controls.rebind("gameplay", "jump", 0, source)
+     * }
+     */
+    rebind(context, action, index, binding) {
+        const definition = this.definition(context, action)
+        const read = parseBinding(definition.type, binding)
+        index = Math.min(index, definition.bindings.length)
+        definition.bindings[index] = binding
+        this.readers.get(definition)[index] = read
+        return this
+    }
+
+    /**
+     * Computes the value of every action from a frame of input.
+     *
+     * @param {Object} now The frame being collected
+     * @param {?Object} [last] The previous frame's action values, to compute
+     *  the edges of `button` actions
+     * @returns {Object<string, any>} Action values by name
+     */
+    read(now, last) {
+        const active = {}
+        for (const context of this.enabled)
+            Object.assign(active, this.contexts[context])
+        const result = {}
+        for (const context of Object.keys(this.contexts)) {
+            for (const action of Object.keys(this.contexts[context])) {
+                if(action in result)
+                    continue
+                const definition = active[action] || this.contexts[context][action]
+                const values = !active[action] ? [] : this.readers.get(definition).map(read => read(now))
+                if(definition.type === "button") {
+                    const value = values.reduce((max, v) => Math.max(max, v), 0)
+                    const down = value >= this.threshold
+                    const wasDown = Boolean(last && last[action] && last[action].down)
+                    result[action] = { down, pressed: down && !wasDown, released: !down && wasDown, value }
+                } else if(definition.type === "axis") {
+                    result[action] = values.reduce((best, v) => Math.abs(v) > Math.abs(best) ? v : best, 0)
+                } else {
+                    result[action] = values.reduce((best, v) =>
+                        Math.hypot(v.x, v.y) > Math.hypot(best.x, best.y) ? v : best, neutral("vector"))
+                }
+            }
+        }
+        return result
+    }
+
+    /**
+     * @returns {Object} The contexts, actions and enabled contexts of this map,
+     *  as used by {@link ActionMap.fromJSON}
+     */
+    toJSON() {
+        return { contexts: this.contexts, enabled: this.enabled }
+    }
+
+    /**
+     * Restores a map saved with `JSON.stringify`.
+     *
+     * @param {string|Object} json JSON text or the parsed object
+     * @param {Object} [options] Options passed to the constructor, `enabled`
+     *  defaults to the saved contexts
+     * @returns {ActionMap} The restored map
+     *
+     * @example
+     * localStorage.setItem("controls", JSON.stringify(controls))
+     * const controls = ActionMap.fromJSON(localStorage.getItem("controls"))
+     */
+    static fromJSON(json, options = {}) {
+        const { contexts, enabled } = typeof json === "string" ? JSON.parse(json) : json
+        return new ActionMap(contexts, { enabled, ...options })
+    }
+}
+
+/**
+ * Action input
+ *
+ * Returns an input function named `actions` that reads the actions of `map`
+ * every frame. It has to come after the input functions the map's bindings
+ * read from in the pipeline. Changes to `map` take effect the next frame.
+ *
+ * @param {ActionMap} map The actions to read
+ * @returns {function} Input function returning the value of every action by
+ *  name
+ *
+ * @example
+ * const input = new Input([keyboard(window), gamepad(), actions(controls)])
+ */
+export function actions(map) {
+    return function actions(thisFrame, prevFrame) {
+        return map.read(thisFrame, prevFrame && prevFrame.actions)
+    }
+}
+
+/**
+ * Finds a source that was pressed this frame, for controls menus that bind
+ * whatever the player presses next.
+ *
+ * Keys are checked first, then mouse buttons, gamepad buttons and finally
+ * gamepad sticks pushed past `threshold`, which are returned as half axes
+ * such as `-pad:leftY`.
+ *
+ * @param {Object} now A frame of input with any of `keyboard`, `pointer` and
+ *  `gamepad`
+ * @param {number} [threshold=0.5] How far a stick must be pushed
+ * @returns {?string} A binding source, or `null` if nothing was pressed
+ */
+export function pressedSource(now, threshold = 0.5) {
+    if(now.keyboard) {
+        const [code] = Object.keys(now.keyboard.code.pressed)
+        if(code)
+            return `key:${code}`
+    }
+    if(now.pointer && now.pointer.primary) {
+        const [button] = Object.keys(now.pointer.primary.buttons.pressed)
+        if(button)
+            return `mouse:${button}`
+    }
+    const pad = now.gamepad && now.gamepad.primary
+    if(pad) {
+        const [button] = Object.keys(pad.buttons.pressed)
+        if(button)
+            return `pad:${button}`
+        for (const axis of ["leftX", "leftY", "rightX", "rightY"]) {
+            const value = padAxes[axis](pad)
+            if(Math.abs(value) >= threshold)
+                return `${value < 0 ? "-" : "+"}pad:${axis}`
+        }
+    }
+    return null
+}
+
+/**
+ * A binding source names one input:
+ *
+ * * `key:<code>` a key by its physical `code`, e.g. `key:KeyW` or
+ *   `key:Space`
+ * * `mouse:<button>` a button of the primary pointer, e.g. `mouse:0`, or
+ *   `mouse:dx`, `mouse:dy`, `mouse:wheelX` and `mouse:wheelY` for movement
+ * * `pad:<name>` a button of the primary gamepad from {@link gamepadButtons},
+ *   or one of `leftX`, `leftY`, `rightX`, `rightY`, `leftTrigger` and
+ *   `rightTrigger` for analog values
+ *
+ * Prefixing a source with `+` or `-` keeps only that half of its range, as a
+ * positive number, e.g. `-pad:leftY` is how far the left stick is pushed up.
+ *
+ * A binding is a source, or for composites an object of sources: `{negative,
+ * positive}` for axes and `{x, y}` or `{up, down, left, right}` for vectors.
+ *
+ * @typedef {string|Object<string, string>} Binding
+ */
+
+/**
+ * @typedef ActionDefinition
+ * @property {string} [type="button"] `button`, `axis` or `vector`
+ * @property {Binding[]} bindings
+ */
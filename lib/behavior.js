@@ -0,0 +1,298 @@
+/** @module behavior */
+
+import { first, seconds, currentClock, timeout as timeoutCoroutine } from "./coroutines.js"
+
+/**
+ * Shared memory for the nodes of a behavior tree.
+ *
+ * Each agent running a tree gets its own blackboard, so one tree can be
+ * shared by many agents. Nodes read and write it to communicate, e.g. one
+ * node finds a target and stores it for the next to chase.
+ *
+ * @example
+ * const blackboard = new Blackboard({ self: guard, target: null })
+ * schedule.add(tree(blackboard))
+ */
+export class Blackboard {
+    /**
+     * @param {Object} [values] Initial values
+     */
+    constructor(values = {}) {
+        this.values = new Map(Object.entries(values))
+    }
+
+    /**
+     * @param {any} key
+     * @param {any} [fallback] Returned if `key` has no value
+     * @returns {any} The value of `key`
+     */
+    get(key, fallback) {
+        return this.values.has(key) ? this.values.get(key) : fallback
+    }
+
+    /**
+     * @param {any} key
+     * @param {any} value
+     * @returns {Blackboard} This blackboard
+     */
+    set(key, value) {
+        this.values.set(key, value)
+        return this
+    }
+
+    /**
+     * @param {any} key
+     * @returns {boolean} `true` if `key` has a value
+     */
+    has(key) {
+        return this.values.has(key)
+    }
+
+    /**
+     * @param {any} key
+     * @returns {boolean} `true` if `key` had a value
+     */
+    delete(key) {
+        return this.values.delete(key)
+    }
+}
+
+/**
+ * A leaf node that runs a function.
+ *
+ * `f` is called with the blackboard and can return a coroutine, which is run
+ * to completion, or a plain value. The node fails if the result is `false`
+ * and succeeds otherwise, so actions that cannot fail need not return
+ * anything.
+ *
+ * @param {function(Blackboard):(Generator|any)} f The action
+ * @returns {Node} Action node
+ *
+ * @example
+ * const attack = action(function* (blackboard) {
+ *      const target = blackboard.get("target")
+ *      if(!target.alive)
+ *          return false
+ *      yield* playAnimation("swing")
+ *      target.hit()
+ * })
+ */
+export function action(f) {
+    return function* action(blackboard) {
+        const result = f(blackboard)
+        if(result && typeof result.next === "function")
+            return (yield* result) !== false
+        return result !== false
+    }
+}
+
+/**
+ * A leaf node that checks a condition without waiting.
+ *
+ * @param {string|function(Blackboard):boolean} predicate Function of the
+ *  blackboard, or a blackboard key whose value is checked
+ * @returns {Node} Node that succeeds if the predicate is truthy
+ *
+ * @example
+ * sequence(condition("target"), action(chase))
+ * sequence(condition(b => b.get("health") < 10), action(flee))
+ */
+export function condition(predicate) {
+    const test = typeof predicate === "function" ? predicate : b => b.get(predicate)
+    return function* condition(blackboard) {
+        return Boolean(test(blackboard))
+    }
+}
+
+/**
+ * A leaf node that waits and succeeds.
+ *
+ * @param {number} s Seconds to wait, see {@link seconds}
+ * @param {Clock|ClockCallback} [clock] Clock to measure time with
+ * @returns {Node} Wait node
+ */
+export function wait(s, clock) {
+    return function* wait() {
+        yield* seconds(s, clock)
+        return true
+    }
+}
+
+/**
+ * Runs children one after another until one fails.
+ *
+ * @param {...Node} children Nodes to run
+ * @returns {Node} Node that fails as soon as a child fails and succeeds if
+ *  they all succeed
+ */
+export function sequence(...children) {
+    return function* sequence(blackboard) {
+        for (const child of children)
+            if(!(yield* child(blackboard)))
+                return false
+        return true
+    }
+}
+
+/**
+ * Runs children one after another until one succeeds.
+ *
+ * @param {...Node} children Nodes to try, in order of preference
+ * @returns {Node} Node that succeeds as soon as a child succeeds and fails if
+ *  they all fail
+ */
+export function selector(...children) {
+    return function* selector(blackboard) {
+        for (const child of children)
+            if(yield* child(blackboard))
+                return true
+        return false
+    }
+}
+
+/**
+ * Runs children at the same time.
+ *
+ * Children are advanced in order every frame, as with {@link all}. Once
+ * enough children succeed, or so many fail that enough never can, the node
+ * finishes and the children still running are cancelled with
+ * `Generator#return`.
+ *
+ * @param {Node[]} children Nodes to run
+ * @param {Object} [options]
+ * @param {number} [options.successes=children.length] How many children must
+ *  succeed, `1` to succeed with the first child that does
+ * @returns {Node} Parallel node
+ *
+ * @example
+ * parallel([action(walkToDoor), action(whistle)], { successes: 1 })
+ */
+export function parallel(children, { successes = children.length } = {}) {
+    return function* parallel(blackboard) {
+        const running = children.map(child => first(child(blackboard)))
+        let succeeded = 0
+        let failed = 0
+        try {
+            while(true) {
+                for (let i = 0; i < running.length; i++) {
+                    const { done, value } = running[i].next()
+                    if(!done)
+                        continue
+                    running.splice(i--, 1)
+                    if(value)
+                        succeeded++
+                    else
+                        failed++
+                    if(succeeded >= successes)
+                        return true
+                    if(children.length - failed < successes)
+                        return false
+                }
+                if(succeeded >= successes)
+                    return true
+                yield
+            }
+        } finally {
+            for (const c of running)
+                c.return()
+        }
+    }
+}
+
+/**
+ * Inverts the result of a node.
+ *
+ * @param {Node} child Node to invert
+ * @returns {Node} Node that succeeds when `child` fails and vice versa
+ */
+export function inverter(child) {
+    return function* inverter(blackboard) {
+        return !(yield* child(blackboard))
+    }
+}
+
+/**
+ * Runs a node repeatedly.
+ *
+ * Every repetition after the first starts on a new frame, so repeating a
+ * node that finishes instantly does not hang.
+ *
+ * @param {Node} child Node to repeat
+ * @param {number} [times=Infinity] How many times to run `child`
+ * @returns {Node} Node that fails as soon as `child` fails and succeeds after
+ *  `times` successes
+ *
+ * @example
+ * schedule.add(repeat(selector(fight, patrol))(blackboard))
+ */
+export function repeat(child, times = Infinity) {
+    return function* repeat(blackboard) {
+        for (let i = 0; i < times; i++) {
+            if(i > 0)
+                yield
+            if(!(yield* child(blackboard)))
+                return false
+        }
+        return true
+    }
+}
+
+/**
+ * Keeps a node from running again too soon.
+ *
+ * After `child` finishes, the node fails immediately without running it
+ * until `s` seconds have passed. Cooldowns are kept per blackboard, so agents
+ * sharing a tree do not share cooldowns.
+ *
+ * @param {Node} child Node to limit
+ * @param {number} s Seconds to wait after `child` finishes
+ * @param {Clock|ClockCallback} [clock] Clock to measure time with, defaults
+ *  to the {@link currentClock}
+ * @returns {Node} Cooldown node
+ *
+ * @example
+ * selector(cooldown(action(fireball), 5), action(melee))
+ */
+export function cooldown(child, s, clock) {
+    const readyAt = new WeakMap()
+    return function* cooldown(blackboard) {
+        const c = clock === undefined ? currentClock() : clock
+        const now = typeof c === "function" ? c : () => c.time
+        if(readyAt.has(blackboard) && now() < readyAt.get(blackboard))
+            return false
+        try {
+            return yield* child(blackboard)
+        } finally {
+            readyAt.set(blackboard, now() + s)
+        }
+    }
+}
+
+/**
+ * Fails a node that takes too long.
+ *
+ * @param {Node} child Node to limit
+ * @param {number} s Seconds to allow
+ * @param {Clock|ClockCallback} [clock] Clock to measure time with
+ * @returns {Node} Node that fails if `child` has not finished after `s`
+ *  seconds, cancelling it, and otherwise returns its result
+ */
+export function timeout(child, s, clock) {
+    return function* timeout(blackboard) {
+        const { timedOut, value } = yield* timeoutCoroutine(child(blackboard), s, clock)
+        return !timedOut && value
+    }
+}
+
+/**
+ * A behavior tree node.
+ *
+ * A generator function that takes a {@link Blackboard} and returns a coroutine
+ * that returns `true` on success and `false` on failure. Nodes are plain
+ * coroutines, so a tree is run by adding its root to a schedule and can be
+ * stepped through in a debugger like any other generator.
+ *
+ * @callback Node
+ * @param {Blackboard} blackboard The agent's blackboard
+ * @returns {Generator} Returns `true` or `false` when `yield*`ed
+ */
@@ -0,0 +1,287 @@
+/** @module channels */
+
+import { waitReason } from "./coroutines.js"
+
+/**
+ * The value taken from a channel once it is closed and empty.
+ *
+ * @type {symbol}
+ */
+export const CLOSED = Symbol("closed")
+
+/**
+ * Returned by attempts to put or take that cannot complete yet.
+ *
+ * @ignore
+ */
+const PENDING = Symbol("pending")
+
+/**
+ * Removes and returns the first operation in `queue` that is still waiting.
+ *
+ * Operations of a select that already completed on another channel are
+ * dropped along the way.
+ *
+ * @ignore
+ * @param {Object[]} queue
+ * @returns {?Object}
+ */
+function nextWaiting(queue) {
+    while(queue.length > 0) {
+        const op = queue.shift()
+        if(!op.selection.done)
+            return op
+    }
+    return null
+}
+
+/**
+ * Completes the select that `op` belongs to.
+ *
+ * @ignore
+ */
+function complete(op, value) {
+    op.selection.done = true
+    op.selection.index = op.index
+    op.selection.value = value
+}
+
+/**
+ * A channel coroutines communicate over.
+ *
+ * One coroutine `put`s values into the channel and another `take`s them out,
+ * in order. An unbuffered channel, the default, hands every value directly
+ * from a putting coroutine to a taking one, so `put` waits until the value is
+ * taken and `take` waits until a value is put. A buffered channel holds up to
+ * `capacity` values, so `put` only waits while the buffer is full.
+ *
+ * `put` and `take` are coroutines to be `yield*`ed. They are cancel safe:
+ * stopping them with `Generator#return`, for example because they lost a
+ * {@link first} or {@link timeout}, withdraws them from the channel without
+ * losing a value. Use {@link select} to wait on several channels at once.
+ *
+ * Closing a channel wakes every waiting coroutine. Values still buffered can
+ * be taken, after that `take` returns {@link CLOSED}. `put` returns `false`
+ * on a closed channel.
+ *
+ * @example
+ * const clicks = new Channel(8)
+ * button.onclick = e => clicks.offer(e)
+ *
+ * schedule.add(function* () {
+ *      while(true) {
+ *          const click = yield* clicks.take()
+ *          console.log("clicked at", click.x, click.y)
+ *      }
+ * })
+ */
+export class Channel {
+    /**
+     * @param {number} [capacity=0] Number of values the channel can hold
+     *  without a coroutine taking them
+     */
+    constructor(capacity = 0) {
+        /** Number of values the channel can hold. @type {number} */
+        this.capacity = capacity
+        /** `true` once {@link Channel#close} has been called. @type {boolean} */
+        this.closed = false
+        this.buffer = []
+        this.takers = []
+        this.putters = []
+    }
+
+    /**
+     * Number of values waiting in the buffer.
+     *
+     * @type {number}
+     */
+    get length() {
+        return this.buffer.length
+    }
+
+    /**
+     * Puts a value into the channel, waiting for room if needed.
+     *
+     * @param {any} value Value to put
+     * @returns {Generator} Returns `true` when `yield*`ed once the value is
+     *  taken or buffered, or `false` if the channel is closed
+     *
+     * @example
+     * yield* path.put(findPath(start, goal))
+     */
+    *put(value) {
+        return (yield* select([[this, value]])).value
+    }
+
+    /**
+     * Takes the next value out of the channel, waiting for one if needed.
+     *
+     * @returns {Generator} Returns the value when `yield*`ed, or
+     *  {@link CLOSED} if the channel is closed and empty
+     *
+     * @example
+     * let message
+     * while((message = yield* inbox.take()) !== CLOSED)
+     *      handle(message)
+     */
+    *take() {
+        return (yield* select([this])).value
+    }
+
+    /**
+     * Puts a value into the channel if that is possible without waiting.
+     *
+     * Usable outside of coroutines, e.g. from event handlers.
+     *
+     * @param {any} value Value to put
+     * @returns {boolean} `true` if a waiting coroutine took the value or it was
+     *  buffered, `false` if the channel is full or closed
+     */
+    offer(value) {
+        return this.tryPut(value) === true
+    }
+
+    /**
+     * Closes the channel.
+     *
+     * Coroutines waiting to take get {@link CLOSED} and coroutines waiting to
+     * put get `false`. Closing a closed channel does nothing.
+     */
+    close() {
+        if(this.closed)
+            return
+        this.closed = true
+        let op
+        while((op = nextWaiting(this.takers)))
+            complete(op, CLOSED)
+        while((op = nextWaiting(this.putters)))
+            complete(op, false)
+    }
+
+    /**
+     * @ignore
+     * @returns {boolean|symbol} Result of the put, or `PENDING`
+     */
+    tryPut(value) {
+        if(this.closed)
+            return false
+        const taker = nextWaiting(this.takers)
+        if(taker) {
+            complete(taker, value)
+            return true
+        }
+        if(this.buffer.length < this.capacity) {
+            this.buffer.push(value)
+            return true
+        }
+        return PENDING
+    }
+
+    /**
+     * @ignore
+     * @returns {any} The value taken, or `PENDING`
+     */
+    tryTake() {
+        if(this.buffer.length > 0) {
+            const value = this.buffer.shift()
+            const putter = nextWaiting(this.putters)
+            if(putter) {
+                this.buffer.push(putter.value)
+                complete(putter, true)
+            }
+            return value
+        }
+        const putter = nextWaiting(this.putters)
+        if(putter) {
+            complete(putter, true)
+            return putter.value
+        }
+        return this.closed ? CLOSED : PENDING
+    }
+
+    /**
+     * Gives back a value that was taken by a coroutine stopped before it could
+     * receive it.
+     *
+     * @ignore
+     */
+    restore(value) {
+        const taker = nextWaiting(this.takers)
+        if(taker)
+            complete(taker, value)
+        else
+            this.buffer.unshift(value)
+    }
+}
+
+/**
+ * Waits on several channel operations and carries out the first that can
+ * complete.
+ *
+ * Each case is either a channel, to take from it, or a `[channel, value]`
+ * pair, to put `value` into it. If several cases can complete at once the
+ * first of them in `cases` wins. Only the winning operation is carried out,
+ * the others are withdrawn.
+ *
+ * With a `default` option, `select` does not wait: if no case can complete
+ * immediately it returns `{ index: -1, value: options.default }`.
+ *
+ * @param {Array<Channel|Array>} cases Channels to take from and
+ *  `[channel, value]` pairs to put into
+ * @param {Object} [options]
+ * @param {any} [options.default] Value to return instead of waiting
+ * @returns {Generator} Returns `{ index, value, channel }` when `yield*`ed,
+ *  where `index` is the index of the completed case, `value` the value taken
+ *  or the result of the put, and `channel` the channel it used
+ *
+ * @example
+ * const { index, value } = yield* select([commands, [events, "idle"]], { default: null })
+ * if(index === 0)
+ *      run(value)
+ * else if(index === -1)
+ *      wander()
+ */
+export function* select(cases, options) {
+    const channels = cases.map(c => Array.isArray(c) ? c[0] : c)
+    for (let index = 0; index < cases.length; index++) {
+        const value = Array.isArray(cases[index])
+            ? channels[index].tryPut(cases[index][1])
+            : channels[index].tryTake()
+        if(value !== PENDING)
+            return { index, value, channel: channels[index] }
+    }
+    if(options && "default" in options)
+        return { index: -1, value: options.default, channel: null }
+    const selection = { done: false, index: -1, value: undefined }
+    const ops = cases.map((c, index) => {
+        const op = { selection, index, value: undefined }
+        if(Array.isArray(c)) {
+            op.value = c[1]
+            channels[index].putters.push(op)
+        } else {
+            channels[index].takers.push(op)
+        }
+        return op
+    })
+    let received = false
+    const reason = cases.length === 1 ? (Array.isArray(cases[0]) ? "put" : "take") : () => `select of ${cases.length}`
+    try {
+        while(!selection.done) {
+            waitReason(reason)
+            yield
+        }
+        received = true
+        return { index: selection.index, value: selection.value, channel: channels[selection.index] }
+    } finally {
+        ops.forEach((op, index) => {
+            const queue = Array.isArray(cases[index]) ? channels[index].putters : channels[index].takers
+            const i = queue.indexOf(op)
+            if(i !== -1)
+                queue.splice(i, 1)
+        })
+        // a value taken for a coroutine that was stopped before seeing it
+        // goes back to the channel
+        if(selection.done && !received && !Array.isArray(cases[selection.index]) && selection.value !== CLOSED)
+            channels[selection.index].restore(selection.value)
+    }
+}
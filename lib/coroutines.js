@@ -1,21 +1,474 @@
 /** @module coroutine */
 
+/**
+ * A handle to a coroutine running on a {@link Schedule}.
+ *
+ * Returned by {@link Schedule#add}. Tasks can be used to query the state of
+ * their coroutine and to cancel it. Tasks are also the nodes of their
+ * schedule's linked list.
+ *
+ * @example
+ * function* enemyAI() {
+ *      try {
+ *          while(true) { ... yield }
+ *      } finally {
+ *          console.log("cleaned up")
+ *      }
+ * }
+ * const schedule = new Schedule()
+ * const task = schedule.add(enemyAI)
+ * task.onDone(t => console.log("done", t.isCancelled))
+ * schedule.tick()
+ * task.cancel() // prints out cleaned up, then done true
+ */
+export class Task {
+    constructor(coro, schedule, name = null, site = null) {
+        /** Unique number identifying the task. @type {number} */
+        this.id = ++_lastId
+        /** The coroutine this task is running. @type {Generator} */
+        this.coro = coro
+        /** The async generator the task was added with, if any, which `coro` drives. @type {?AsyncGenerator} */
+        this.asyncCoro = null
+        /** Name used to identify the coroutine in error reports. @type {?string} */
+        this.name = name
+        /** Stack trace of the {@link Schedule#add} call, if captured. @type {?string} */
+        this.site = site
+        /** The schedule this task is on, or `null` once it is done. @type {?Schedule} */
+        this.schedule = schedule
+        /** Position within its schedule, lower priorities run first. @type {number} */
+        this.priority = 0
+        this.link = null
+        this.prev = null
+        this.linkedAt = 0
+        this.running = false
+        this.callbacks = null
+        this.settled = null
+        /** Coroutine running the instruction the task last yielded, if any. @type {?Generator} */
+        this.waiting = null
+        /** `true` if the coroutine spent its last step waiting, see {@link waitReason}. @type {boolean} */
+        this.polling = false
+        /** The value the coroutine last yielded. */
+        this.yielded = undefined
+        /** Number of ticks the coroutine has been advanced. @type {number} */
+        this.age = 0
+        /** The tick of its schedule on which the coroutine was last advanced. @type {number} */
+        this.advancedAt = 0
+        /** What the coroutine did on its last tick, if its schedule is inspecting. @type {?TraceNode} */
+        this.trace = null
+        /** Milliseconds the coroutine ran for on its last tick, if its schedule is inspecting. @type {number} */
+        this.runTime = 0
+        /** The task that spawned this one, if any. @type {?Task} */
+        this.parent = null
+        /** Tasks spawned by this one that are still running. @type {?Set<Task>} */
+        this.children = null
+        /** `true` once the coroutine has completed, thrown or been cancelled. */
+        this.isDone = false
+        /** `true` if the coroutine was stopped with {@link Task#cancel}. */
+        this.isCancelled = false
+        /** The value the coroutine returned, if it completed. */
+        this.result = undefined
+        /** The value the coroutine threw, if it threw. */
+        this.error = undefined
+    }
+
+    /**
+     * Stops the coroutine and removes it from its schedule.
+     *
+     * The coroutine is stopped with `Generator#return`, so its `finally`
+     * clauses run. Does nothing if the task is already done. If a coroutine
+     * cancels its own task it keeps running up to its next `yield`.
+     *
+     * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Generator/return|Generator#return}
+     */
+    cancel() {
+        if(this.isDone || this.isCancelled)
+            return
+        this.schedule.remove(this)
+    }
+
+    /**
+     * Registers a function to be called when the task is done.
+     *
+     * `f` is called with the task once its coroutine completes, throws or is
+     * cancelled. If the task is already done `f` is called immediately.
+     *
+     * @param {function(Task)} f Function to call
+     * @returns {Task} This task
+     */
+    onDone(f) {
+        if(this.isDone)
+            f(this)
+        else if(this.callbacks)
+            this.callbacks.push(f)
+        else
+            this.callbacks = [f]
+        return this
+    }
+
+    /**
+     * Schedules a child coroutine whose lifetime is tied to this task.
+     *
+     * The child is added to this task's schedule. When this task completes,
+     * throws or is cancelled, every child still running is cancelled with it,
+     * and so on down to their own children.
+     *
+     * @param {Generator|GeneratorFunction} coro Coroutine to add
+     * @param {Object} [options] Options passed on to {@link Schedule#add}
+     * @returns {Task} A handle to the child coroutine
+     * @see {@link spawn}
+     */
+    spawn(coro, options) {
+        if(this.isDone)
+            throw new Error(`Cannot spawn from ${this}, it is already done`)
+        const child = this.schedule.add(coro, options)
+        child.parent = this
+        if(!this.children)
+            this.children = new Set()
+        this.children.add(child)
+        return child
+    }
+
+    /**
+     * Returns a Promise of the coroutine's result.
+     *
+     * The Promise resolves with the value the coroutine returns, rejects with
+     * the value it throws, or rejects with a {@link CancelledError} if it is
+     * cancelled.
+     *
+     * @returns {Promise} Promise of the coroutine's result
+     * @see {@link waitFor}
+     *
+     * @example
+     * async function loadLevel(name) {
+     *      const level = await schedule.add(generateLevel(name)).promise()
+     *      ...
+     * }
+     */
+    promise() {
+        if(!this.settled)
+            this.settled = new Promise((resolve, reject) => {
+                this.onDone(task => {
+                    if(task.isCancelled && task.error === undefined)
+                        reject(new CancelledError(task))
+                    else if(task.error !== undefined)
+                        reject(task.error)
+                    else
+                        resolve(task.result)
+                })
+            })
+        return this.settled
+    }
+
+    /**
+     * Describes the coroutine by its name or the place it was added.
+     *
+     * @returns {string} Description of the coroutine
+     */
+    toString() {
+        if(this.name)
+            return this.name
+        if(this.site) {
+            // skip the frames of Schedule#add and of spawn, which call it
+            const frame = this.site.split("\n").slice(1).find(l => !libraryFrame.test(l))
+            if(frame)
+                return `coroutine ${frame.trim()}`
+        }
+        return "anonymous coroutine"
+    }
+}
+
+/**
+ * @ignore
+ */
+let _lastId = 0
+
+/**
+ * Matches the stack frames of the functions that add coroutines for their
+ * callers.
+ *
+ * @ignore
+ */
+const libraryFrame = /^\s*at (\w*Schedule\.add|(\w+\.)?spawn) /
+
+/**
+ * The reason a {@link Task#promise} rejects when its task is cancelled.
+ */
+export class CancelledError extends Error {
+    /**
+     * @param {Task} task The cancelled task
+     */
+    constructor(task) {
+        super(`${task} was cancelled`)
+        this.name = "CancelledError"
+        /** The cancelled task. @type {Task} */
+        this.task = task
+    }
+}
+
+/**
+ * The task whose coroutine is currently being advanced, if any.
+ *
+ * @ignore
+ * @type {?Task}
+ */
+let _current = null
+
+/**
+ * Returns the task whose coroutine is currently running.
+ *
+ * @returns {?Task} The running task, or `null` outside of {@link Schedule#tick}
+ */
+export function currentTask() {
+    return _current
+}
+
+/**
+ * The trace node of the innermost coroutine being advanced, while inspecting.
+ *
+ * @ignore
+ * @type {?TraceNode}
+ */
+let _trace = null
+
+/**
+ * The {@link PooledSchedule} being ticked, whose coroutines have no task to
+ * find it through.
+ *
+ * @ignore
+ * @type {?PooledSchedule}
+ */
+let _ambientSchedule = null
+
+/**
+ * Reports what the running coroutine is waiting on.
+ *
+ * Shows up as the `wait` of the innermost trace node when the coroutine's
+ * schedule is inspecting. Also marks the coroutine's task as
+ * {@link Task#polling}, so a {@link BudgetedSchedule} does not resume it
+ * again in the same tick. Built in waits like {@link seconds} report
+ * themselves, custom waits can call this before they `yield`.
+ *
+ * Waits call this every frame, so a reason that has to be formatted is best
+ * passed as a function created once per wait, which is only called while
+ * inspecting.
+ *
+ * @param {string|function():string} reason Description of the wait, or a
+ *  function returning it
+ * @see {@link Schedule#snapshot}
+ *
+ * @example
+ * function* waitForClick(button) {
+ *      let pressed = false
+ *      button.onclick = () => pressed = true
+ *      const reason = () => `click on ${button.id}`
+ *      while(!pressed) {
+ *          waitReason(reason)
+ *          yield
+ *      }
+ * }
+ */
+export function waitReason(reason) {
+    if(_current !== null)
+        _current.polling = true
+    if(_trace !== null)
+        _trace.wait = typeof reason === "function" ? reason() : reason
+}
+
+/**
+ * Advances `coro` under a trace node of its own, while inspecting.
+ *
+ * @ignore
+ * @param {Generator} coro Coroutine to advance
+ * @param {string|function():string} name Name of the trace node, or a function
+ *  computing it, only called while inspecting
+ * @param {boolean} [threw=false] Throw `value` into the coroutine instead
+ * @param {any} [value] Value to send or throw
+ * @returns {Object} Iterator result
+ */
+function traceStep(coro, name, threw = false, value) {
+    if(_trace === null)
+        return threw ? coro.throw(value) : coro.next(value)
+    const parent = _trace
+    _trace = { name: typeof name === "function" ? name() : name, wait: null, children: [] }
+    parent.children.push(_trace)
+    try {
+        return threw ? coro.throw(value) : coro.next(value)
+    } finally {
+        _trace = parent
+    }
+}
+
+/**
+ * @ignore
+ */
+function labelOf(coros, i) {
+    return () => typeof coros[i] === "function" && coros[i].name ? coros[i].name : String(i)
+}
+
+/**
+ * Converts a task and its spawned children into plain data.
+ *
+ * @ignore
+ * @param {Task} task
+ * @returns {TaskSnapshot}
+ */
+function snapshotTask(task) {
+    const trace = task.trace
+    return {
+        id: task.id,
+        name: String(task),
+        priority: task.priority,
+        age: task.age,
+        runTime: task.runTime,
+        wait: trace ? trace.wait : null,
+        children: trace ? trace.children : [],
+        spawned: task.children ? Array.from(task.children, snapshotTask) : []
+    }
+}
+
+/**
+ * Marks `task` as done, cancels its children and notifies its `onDone`
+ * callbacks.
+ *
+ * Every child is cancelled and every callback called even if some of them
+ * throw. Errors thrown by callbacks are handled by the task's schedule's
+ * error policy, errors thrown by children were already handled by theirs.
+ *
+ * @ignore
+ * @returns {?{error: any}} The first error that the error policies rethrew,
+ *  for the caller to throw once it has dealt with `task`
+ */
+function finish(task, result, error) {
+    const schedule = task.schedule
+    task.isDone = true
+    task.result = result
+    task.error = error
+    task.schedule = null
+    if(task.parent) {
+        if(task.parent.children)
+            task.parent.children.delete(task)
+        task.parent = null
+    }
+    let failure = null
+    const children = task.children
+    task.children = null
+    if(children) {
+        for (const child of children) {
+            try {
+                child.cancel()
+            } catch(e) {
+                failure = failure || { error: e }
+            }
+        }
+    }
+    const callbacks = task.callbacks
+    task.callbacks = null
+    if(callbacks) {
+        for (const f of callbacks) {
+            try {
+                f(task)
+            } catch(e) {
+                try {
+                    if(!schedule)
+                        throw e
+                    schedule.fail(e, task)
+                } catch(e) {
+                    failure = failure || { error: e }
+                }
+            }
+        }
+    }
+    return failure
+}
+
 /**
  * A coroutine schedule.
  * 
  * Coroutines are added to a schedule with {@link Schedule#add} and all scheduled
  * coroutines are advanced with {@link Schedule#tick}.
  * 
- * Implemented as a double-ended linked list.
+ * Implemented as a doubly linked list of {@link Task}s.
+ *
+ * A coroutine that throws is removed from the schedule without disturbing the
+ * others, and its error is handled according to the schedule's error policy:
+ *
+ * - `"rethrow"` (the default) finishes the tick and then throws the first error
+ *   raised during it
+ * - `"log"` reports the error with `console.error` and carries on
+ * - a function is called as `onError(error, task)` and the tick carries on
+ *
+ * @example
+ * const schedule = new Schedule({
+ *      errorPolicy: (error, task) => console.warn(`${task} failed`, error),
+ *      captureSites: true
+ * })
  */
  export class Schedule {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string|ErrorCallback} [options.errorPolicy="rethrow"] How to
+     *  handle errors thrown by coroutines, one of `"rethrow"`, `"log"` or a
+     *  function
+     * @param {boolean} [options.captureSites=false] Record a stack trace every
+     *  time a coroutine is added so that unnamed coroutines can be identified
+     *  by where they were added. Costs an `Error` allocation per coroutine.
+     * @param {Clock} [options.clock] Clock for coroutines on this schedule to
+     *  measure time with, defaults to a new {@link Clock}
+     * @param {boolean} [options.inspect=false] Record a trace of what every
+     *  coroutine does each tick, see {@link Schedule#snapshot}
+     */
+    constructor({ errorPolicy = "rethrow", captureSites = false, clock = new Clock(), inspect = false } = {}) {
         this.front = null
         this.back = null
         this.size = 0
+        this.ticks = 0
+        this.cursor = null
+        this.errorPolicy = errorPolicy
+        this.lateErrors = []
+        this.captureSites = captureSites
+        /** The clock coroutines on this schedule measure time with. @type {Clock} */
+        this.clock = clock
+        /**
+         * Whether {@link Schedule#tick} advances the clock. Turn off when
+         * sharing a clock between schedules and tick it once a frame yourself.
+         * @type {boolean}
+         */
+        this.updatesClock = true
+        /**
+         * Whether to record each coroutine's {@link Task#trace} and
+         * {@link Task#runTime}. Costs some time and allocation every tick.
+         * @type {boolean}
+         */
+        this.inspecting = inspect
         this.tick = this.tick.bind(this)
     }
 
+    /**
+     * `true` while the schedule's clock is paused.
+     * 
+     * @type {boolean}
+     */
+    get paused() {
+        return this.clock.paused
+    }
+
+    /**
+     * Pauses the schedule.
+     * 
+     * Pauses the schedule's clock and stops {@link Schedule#tick} from
+     * advancing any coroutines until {@link Schedule#resume} is called.
+     */
+    pause() {
+        this.clock.pause()
+    }
+
+    /**
+     * Resumes a paused schedule.
+     */
+    resume() {
+        this.clock.resume()
+    }
+
     /**
      * Schedules a coroutine for evaluation.
      * 
@@ -23,9 +476,23 @@
      * `yield` until it is completed.
      * 
      * As a convenience if `coro` is a generator function and not a generator,
-     * it will be evaluated to produce a generator.
+     * it will be evaluated to produce a generator. Named generator functions
+     * lend their name to the task.
      * 
-     * @param {Generator|GeneratorFunction} coro Coroutine to add
+     * Async generators and async generator functions work too, see
+     * {@link fromAsync}.
+     *
+     * Coroutines run in order of priority, lowest first, and in the order they
+     * were added among equal priorities.
+     *
+     * @param {Generator|GeneratorFunction|AsyncGenerator|AsyncGeneratorFunction} coro
+     *  Coroutine to add
+     * @param {Object} [options]
+     * @param {string} [options.name] Name identifying the coroutine in error
+     *  reports
+     * @param {number} [options.priority=0] Where to run the coroutine relative
+     *  to the others
+     * @returns {Task} A handle to the scheduled coroutine
      * 
      * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Generator|MSDN Generator Documentation}
      * 
@@ -34,127 +501,1303 @@
      * const schedule = new Schedule()
      * schedule.add(coroutineFunction()) // this works
      * schedule.add(coroutineFunction)   // so does this
+     * schedule.add(async function* () { // and async generators
+     *      const level = await loadLevel()
+     *      yield playLevel(level)
+     * })
      */
-    add(coro) {
+    add(coro, { name, priority = 0 } = {}) {
         let c = "next" in coro ? coro : coro();
-        const node = { link:null, coro:c }
-        if(this.size === 0)
-            this.front = node
+        if(!name && typeof coro === "function")
+            name = coro.name || null
+        const site = this.captureSites ? new Error().stack : null
+        const task = new Task(isAsync(c) ? fromAsync(c) : c, this, name, site)
+        if(isAsync(c))
+            task.asyncCoro = c
+        task.priority = priority
+        this.insert(task)
+        return task
+    }
+
+    /**
+     * Links `task` in after the last task of equal or lower priority.
+     *
+     * Searches from the back so adding at the default priority stays constant
+     * time.
+     *
+     * @ignore
+     * @param {Task} task
+     */
+    insert(task) {
+        task.schedule = this
+        task.linkedAt = this.ticks
+        let prev = this.back
+        while(prev && prev.priority > task.priority)
+            prev = prev.prev
+        task.prev = prev
+        task.link = prev ? prev.link : this.front
+        if(prev)
+            prev.link = task
         else
-            this.back.link = node
-        this.back = node
+            this.front = task
+        if(task.link)
+            task.link.prev = task
+        else
+            this.back = task
         this.size += 1
-        return c
+    }
+
+    /**
+     * Takes `task` out of the list without stopping it.
+     *
+     * @ignore
+     * @param {Task} task
+     */
+    detach(task) {
+        if(this.cursor === task)
+            this.cursor = task.link
+        if(task.prev)
+            task.prev.link = task.link
+        else
+            this.front = task.link
+        if(task.link)
+            task.link.prev = task.prev
+        else
+            this.back = task.prev
+        task.link = null
+        task.prev = null
+        this.size -= 1
+    }
+
+    /**
+     * Iterates over the scheduled tasks in the order they run.
+     *
+     * @returns {Iterator<Task>} Iterator of tasks
+     */
+    *[Symbol.iterator]() {
+        let node = this.front
+        while(node) {
+            const next = node.link
+            yield node
+            node = next
+        }
+    }
+
+    /**
+     * Finds the task running `coro`.
+     *
+     * @param {Task|Generator|AsyncGenerator} coro Task or coroutine to look for
+     * @returns {?Task} The task, or `null` if `coro` is not on this schedule
+     */
+    find(coro) {
+        if(coro instanceof Task)
+            return coro.schedule === this ? coro : null
+        let node = this.front
+        while(node) {
+            if(node.coro === coro || node.asyncCoro === coro)
+                return node
+            node = node.link
+        }
+        return null
     }
 
     /**
      * Remove a single coroutine from the schedule.
      * 
-     * Currently this method does not force `coro` to stop. To trigger `finally`
-     * clauses you must call `Generator#return` on `coro` yourself.
+     * The coroutine is stopped with `Generator#return`, so its `finally`
+     * clauses run. Removing a {@link Task} takes constant time, removing a
+     * Generator has to search the schedule for it first.
      * 
-     * @param {Generator} coro Coroutine to remove from schedule
+     * @param {Task|Generator} coro Task or coroutine to remove from schedule
      * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Generator/return|Generator#return}
      * 
      * @example
      * function* foo() { ... }
-     * const f = foo()
      * const schedule = new Schedule()
-     * schedule.add(f)
+     * const task = schedule.add(foo)
      * schedule.tick() // runs foo to next yield
-     * schedule.remove(f)
+     * schedule.remove(task)
      * schedule.tick() // foo is not run
      */
     remove(coro) {
-        if(this.front.coro === coro) {
-            if(this.back.coro === coro)
-                this.back = this.back.link
-            this.front = this.front.link
-            this.size -= 1
+        const task = this.find(coro)
+        if(!task || task.isCancelled)
             return
+        this.detach(task)
+        task.isCancelled = true
+        // a running coroutine cannot be returned, tick stops it after it yields
+        if(!task.running)
+            this.stop(task)
+    }
+
+    /**
+     * Removes and stops all scheduled coroutines.
+     * 
+     * Every coroutine is stopped with `Generator#return` in order, as with
+     * {@link Schedule#remove}. A coroutine that throws while stopping does
+     * not keep the others from being stopped, and under the `"rethrow"`
+     * policy the first error is thrown once they have been.
+     */
+    removeAll() {
+        let failed = false
+        let error
+        while(this.front) {
+            try {
+                this.remove(this.front)
+            } catch(e) {
+                if(!failed) {
+                    failed = true
+                    error = e
+                }
+            }
         }
+        if(failed)
+            throw error
+    }
 
+    /**
+     * Advances all scheduled coroutines once.
+     * 
+     * Each coroutine added with {@link Schedule#add} is advanced with
+     * `Generator#next`, causing it to run up to its next `yield` statement.
+     * Finished coroutines are removed from the schedule. Coroutines added
+     * during a tick are first advanced on the next tick.
+     *
+     * A coroutine that throws is removed and its error handled according to
+     * the schedule's error policy. The remaining coroutines are advanced
+     * regardless, and under the `"rethrow"` policy the first error is thrown
+     * once they have been.
+     * 
+     * Does nothing while the schedule is paused.
+     * 
+     * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Generator/next|Generator#next}
+     */
+    tick() {
+        if(this.clock.paused)
+            return
+        if(this.updatesClock)
+            this.clock.tick()
+        const tick = ++this.ticks
+        let failed = this.lateErrors.length > 0
+        let error = this.lateErrors[0]
+        this.lateErrors.length = 0
+        // a schedule ticked from inside an inspected coroutine is not traced
+        const trace = _trace
+        _trace = null
         let node = this.front
         while(node) {
-            if(node.link.coro === coro) {
-                if(this.back === node.link)
-                    this.back = node
-                node.link = node.link.link
-                this.size -= 1
+            this.cursor = node.link
+            if(node.linkedAt !== tick) {
+                try {
+                    if(this.inspecting)
+                        this.inspect(node)
+                    else
+                        this.step(node)
+                } catch(e) {
+                    if(!failed) {
+                        failed = true
+                        error = e
+                    }
+                }
+            }
+            node = this.cursor
+        }
+        this.cursor = null
+        _trace = trace
+        if(failed)
+            throw error
+    }
+
+    /**
+     * Advances a single task once, recording its trace and run time.
+     *
+     * @ignore
+     * @param {Task} task
+     */
+    inspect(task) {
+        task.trace = { name: String(task), wait: null, children: [] }
+        _trace = task.trace
+        const start = performance.now()
+        try {
+            this.step(task)
+        } finally {
+            task.runTime = performance.now() - start
+            _trace = null
+        }
+    }
+
+    /**
+     * Returns a serializable description of every running coroutine.
+     *
+     * Tasks are listed in the order they run, with tasks created by
+     * {@link spawn} nested under the task that spawned them. While the
+     * schedule is inspecting, every task also includes what it waited on and
+     * the coroutines it ran through `all`, `first`, `named` and similar
+     * combinators on its last tick.
+     *
+     * @returns {ScheduleSnapshot} Plain data that can be sent to a devtools
+     *  panel with `JSON.stringify`
+     *
+     * @example
+     * const schedule = new Schedule({ inspect: true })
+     * schedule.add(function* enemy() {
+     *      yield* first(named("patrol", patrol()), named("alert", waitForPlayer()))
+     * })
+     * schedule.tick()
+     * schedule.snapshot().tasks[0]
+     * // { id: 1, name: "enemy", age: 1, runTime: 0.02, wait: null, spawned: [], ...,
+     * //   children: [{ name: "0", wait: null, children: [{ name: "patrol", wait: "seconds(2)", children: [] }] },
+     * //              { name: "1", wait: null, children: [{ name: "alert", wait: "player in range", children: [] }] }] }
+     */
+    snapshot() {
+        const tasks = []
+        for (const task of this)
+            if(task.parent === null)
+                tasks.push(snapshotTask(task))
+        return { ticks: this.ticks, size: this.size, paused: this.paused, tasks }
+    }
+
+    /**
+     * Advances a single task once, removing it if it finishes.
+     *
+     * @ignore
+     * @param {Task} task
+     */
+    step(task) {
+        let result
+        const previous = _current
+        _current = task
+        task.running = true
+        task.age++
+        task.advancedAt = this.ticks
+        task.polling = false
+        try {
+            result = advance(task)
+        } catch(e) {
+            task.running = false
+            _current = previous
+            // the task may have moved to another schedule while running
+            if(!task.isCancelled)
+                task.schedule.detach(task)
+            const failure = finish(task, undefined, e)
+            this.fail(e, task)
+            if(failure)
+                throw failure.error
+            return
+        }
+        task.running = false
+        _current = previous
+        if(task.isCancelled)
+            this.stop(task)
+        else if(result.done) {
+            task.schedule.detach(task)
+            const failure = finish(task, result.value, undefined)
+            if(failure)
+                throw failure.error
+        }
+    }
+
+    /**
+     * Stops a cancelled task's coroutine with `Generator#return`.
+     *
+     * @ignore
+     * @param {Task} task
+     */
+    stop(task) {
+        try {
+            const waiting = task.waiting
+            task.waiting = null
+            // the yielder cleans up even if its instruction fails to, as with yield*
+            try {
+                if(waiting)
+                    waiting.return()
+            } finally {
+                task.coro.return()
+            }
+        } catch(e) {
+            const failure = finish(task, undefined, e)
+            this.fail(e, task)
+            if(failure)
+                throw failure.error
+            return
+        }
+        const failure = finish(task, undefined, undefined)
+        if(failure)
+            throw failure.error
+    }
+
+    /**
+     * Handles an error thrown by `task` according to the error policy.
+     *
+     * @ignore
+     * @param {any} error
+     * @param {Task} task
+     */
+    fail(error, task) {
+        const policy = this.errorPolicy
+        if(typeof policy === "function")
+            policy(error, task)
+        else if(policy === "log")
+            console.error(`Error in ${task}:`, error)
+        else
+            throw error
+    }
+
+    /**
+     * Handles an error thrown by `task` after it stopped, from the `finally`
+     * of an async generator, according to the error policy. Under
+     * `"rethrow"` the error is thrown by the next tick.
+     *
+     * @ignore
+     * @param {any} error
+     * @param {Task} task
+     */
+    failLater(error, task) {
+        if(task.isDone && task.error === undefined)
+            task.error = error
+        try {
+            this.fail(error, task)
+        } catch(e) {
+            this.lateErrors.push(e)
+        }
+    }
+}
+
+/**
+ * A coroutine schedule divided into ordered, named phases.
+ *
+ * Each phase is a {@link Schedule} of its own. {@link PhasedSchedule#tick}
+ * advances every coroutine of the first phase, then every coroutine of the
+ * second, and so on. Within a phase coroutines run in order of priority.
+ *
+ * Supports the same `add`, `remove`, `removeAll`, `tick` and `size` API as
+ * {@link Schedule} so it can be used in its place. Coroutines added without a
+ * phase go into the default phase.
+ *
+ * @example
+ * const schedule = new PhasedSchedule(["input", "update", "lateUpdate", "render"], { defaultPhase: "update" })
+ * schedule.add(movePlayer)                                     // runs in update
+ * schedule.add(followCamera, { phase: "lateUpdate" })
+ * schedule.add(drawShadows, { phase: "render", priority: -1 }) // before other render coroutines
+ * setInterval(schedule.tick, 16)
+ */
+export class PhasedSchedule {
+    /**
+     * @param {string[]} [phases=["update"]] Names of the phases in the order
+     *  they run
+     * @param {Object} [options] Options passed on to each phase's
+     *  {@link Schedule}, as well as:
+     * @param {string} [options.defaultPhase] Phase to add coroutines to when
+     *  none is given, defaults to the first phase
+     * @param {Clock} [options.clock] Clock shared by every phase, defaults to a
+     *  new {@link Clock}
+     */
+    constructor(phases = ["update"], options = {}) {
+        /** The clock shared by every phase. @type {Clock} */
+        this.clock = options.clock || new Clock()
+        this.options = { ...options, clock: this.clock }
+        this.updatesClock = true
+        this.phases = []
+        this.schedules = new Map()
+        for (const name of phases)
+            this.addPhase(name)
+        this.defaultPhase = options.defaultPhase || phases[0]
+        this.tick = this.tick.bind(this)
+    }
+
+    /**
+     * Total number of coroutines across all phases.
+     *
+     * @type {number}
+     */
+    get size() {
+        let size = 0
+        for (const schedule of this.schedules.values())
+            size += schedule.size
+        return size
+    }
+
+    /**
+     * `true` while the shared clock is paused.
+     * 
+     * @type {boolean}
+     */
+    get paused() {
+        return this.clock.paused
+    }
+
+    /**
+     * Pauses every phase.
+     * 
+     * @see {@link Schedule#pause}
+     */
+    pause() {
+        this.clock.pause()
+    }
+
+    /**
+     * Resumes every phase.
+     */
+    resume() {
+        this.clock.resume()
+    }
+
+    /**
+     * Iterates over the scheduled tasks of every phase in the order they run.
+     *
+     * @returns {Iterator<Task>} Iterator of tasks
+     */
+    *[Symbol.iterator]() {
+        for (const name of this.phases)
+            yield* this.schedules.get(name)
+    }
+
+    /**
+     * Adds a new phase.
+     *
+     * The phase runs last unless placed relative to an existing phase with
+     * `before` or `after`.
+     *
+     * @param {string} name Name of the new phase
+     * @param {Object} [position]
+     * @param {string} [position.before] Phase to run the new phase before
+     * @param {string} [position.after] Phase to run the new phase after
+     * @returns {Schedule} The new phase's schedule
+     *
+     * @example
+     * schedule.addPhase("physics", { after: "update" })
+     */
+    addPhase(name, { before, after } = {}) {
+        if(this.schedules.has(name))
+            throw new Error(`Phase ${name} already exists`)
+        let index = this.phases.length
+        if(before !== undefined)
+            index = this.indexOf(before)
+        else if(after !== undefined)
+            index = this.indexOf(after) + 1
+        const schedule = new Schedule(this.options)
+        schedule.updatesClock = false
+        this.phases.splice(index, 0, name)
+        this.schedules.set(name, schedule)
+        return schedule
+    }
+
+    /**
+     * Returns the schedule of a phase.
+     *
+     * @param {string} name Name of the phase
+     * @returns {Schedule} The phase's schedule
+     */
+    phase(name) {
+        const schedule = this.schedules.get(name)
+        if(!schedule)
+            throw new Error(`Unknown phase ${name}`)
+        return schedule
+    }
+
+    /**
+     * @ignore
+     */
+    indexOf(name) {
+        const index = this.phases.indexOf(name)
+        if(index === -1)
+            throw new Error(`Unknown phase ${name}`)
+        return index
+    }
+
+    /**
+     * Schedules a coroutine for evaluation in a phase.
+     *
+     * @param {Generator|GeneratorFunction} coro Coroutine to add
+     * @param {Object} [options] Options passed on to {@link Schedule#add}, as
+     *  well as:
+     * @param {string} [options.phase] Phase to run the coroutine in, defaults
+     *  to the default phase
+     * @returns {Task} A handle to the scheduled coroutine
+     */
+    add(coro, options = {}) {
+        return this.phase(options.phase || this.defaultPhase).add(coro, options)
+    }
+
+    /**
+     * Moves a scheduled coroutine to another phase or priority.
+     *
+     * The coroutine keeps running without interruption. A coroutine moved
+     * into a phase that has not run yet this tick will run there this tick.
+     *
+     * @param {Task} task Task to move
+     * @param {string} phase Phase to move the task to
+     * @param {number} [priority] New priority, defaults to the task's current
+     *  priority
+     */
+    move(task, phase, priority = task.priority) {
+        const target = this.phase(phase)
+        if(task.isDone || !this.owns(task))
+            throw new Error(`Cannot move ${task}, it is not on this schedule`)
+        task.schedule.detach(task)
+        task.priority = priority
+        target.insert(task)
+    }
+
+    /**
+     * Returns the name of the phase a task is in.
+     *
+     * @param {Task} task Task to look up
+     * @returns {?string} Name of the task's phase, or `null` if it is not on
+     *  this schedule
+     */
+    phaseOf(task) {
+        for (const [name, schedule] of this.schedules)
+            if(task.schedule === schedule)
+                return name
+        return null
+    }
+
+    /**
+     * @ignore
+     */
+    owns(task) {
+        return this.phaseOf(task) !== null
+    }
+
+    /**
+     * Remove a single coroutine from whichever phase it is in.
+     *
+     * @param {Task|Generator} coro Task or coroutine to remove
+     * @see {@link Schedule#remove}
+     */
+    remove(coro) {
+        for (const schedule of this.schedules.values()) {
+            const task = schedule.find(coro)
+            if(task) {
+                schedule.remove(task)
                 return
             }
         }
     }
 
     /**
-     * Discards all scheduled coroutines.
-     * 
-     * Similar to {@link Schedule#remove} this method does not force coroutines
-     * to stop currently.
+     * Removes and stops all scheduled coroutines, phase by phase.
+     *
+     * @see {@link Schedule#removeAll}
+     */
+    removeAll() {
+        let failed = false
+        let error
+        for (const name of this.phases) {
+            try {
+                this.schedules.get(name).removeAll()
+            } catch(e) {
+                if(!failed) {
+                    failed = true
+                    error = e
+                }
+            }
+        }
+        if(failed)
+            throw error
+    }
+
+    /**
+     * Returns a serializable description of every phase's coroutines.
+     *
+     * @returns {Object} `{ paused, size, phases }` where `phases` lists every
+     *  phase's name and {@link Schedule#snapshot}
+     */
+    snapshot() {
+        return {
+            paused: this.paused,
+            size: this.size,
+            phases: this.phases.map(name => ({ name, ...this.schedules.get(name).snapshot() }))
+        }
+    }
+
+    /**
+     * Advances every phase once, in order.
+     *
+     * Under the `"rethrow"` error policy every phase still runs and the first
+     * error is thrown once they have.
+     *
+     * @see {@link Schedule#tick}
+     */
+    tick() {
+        if(this.clock.paused)
+            return
+        if(this.updatesClock)
+            this.clock.tick()
+        let failed = false
+        let error
+        for (const name of this.phases) {
+            try {
+                this.schedules.get(name).tick()
+            } catch(e) {
+                if(!failed) {
+                    failed = true
+                    error = e
+                }
+            }
+        }
+        if(failed)
+            throw error
+    }
+}
+
+/**
+ * A schedule that spends a time budget on its coroutines every tick.
+ *
+ * Meant for work coroutines like pathfinding or level generation that `yield`
+ * between chunks of work. {@link BudgetedSchedule#tick} keeps resuming them
+ * in turn, round after round, until the budget is spent, and the next tick
+ * carries on with whichever coroutine was due next, so expensive jobs spread
+ * over as many frames as they need without starving each other. Every
+ * coroutine is resumed at least once per tick that it gets a turn, and every
+ * tick resumes at least one coroutine.
+ *
+ * Coroutines that are waiting, on an instruction such as `yield promise` or
+ * `yield 0.5` or on a wait that reports itself with {@link waitReason} such
+ * as `yield* seconds(2)` or `yield* frames(3)`, are only resumed once per
+ * tick, so they neither use up the budget nor finish early. Custom waits
+ * that only `yield` are resumed like work.
+ *
+ * @example
+ * const jobs = new BudgetedSchedule({ budget: 4 })
+ * jobs.add(function* () {
+ *      for (const chunk of level.chunks) {
+ *          generate(chunk)
+ *          yield
+ *      }
+ * })
+ * loop = new Loop({ schedule: jobs })   // spends up to 4ms a frame generating
+ * jobs.tick(10)                         // or give it 10ms this time
+ */
+export class BudgetedSchedule extends Schedule {
+    /**
+     * @param {Object} [options] Options passed on to {@link Schedule}, as well
+     *  as:
+     * @param {number} [options.budget=4] Milliseconds to spend per tick when
+     *  {@link BudgetedSchedule#tick} is called without a budget
+     * @param {function():number} [options.now] Current time in milliseconds,
+     *  defaults to `performance.now()`
+     */
+    constructor({ budget = 4, now = () => performance.now(), ...options } = {}) {
+        super(options)
+        /** Milliseconds to spend per tick by default. @type {number} */
+        this.budget = budget
+        this.now = now
+        this.resumeAt = null
+        /**
+         * Statistics for the last tick: `steps` is how many times coroutines
+         * were resumed, `elapsed` how many milliseconds that took and
+         * `deferred` how many coroutines got no turn because the budget ran
+         * out.
+         * @type {{steps: number, elapsed: number, deferred: number}}
+         */
+        this.stats = { steps: 0, elapsed: 0, deferred: 0 }
+        /**
+         * The same statistics summed over every tick, plus `exhausted`, the
+         * number of ticks that ran out of budget.
+         * @type {{steps: number, elapsed: number, deferred: number, exhausted: number}}
+         */
+        this.totals = { steps: 0, elapsed: 0, deferred: 0, exhausted: 0 }
+    }
+
+    /**
+     * @ignore
+     * @param {Task} task
+     */
+    detach(task) {
+        if(this.resumeAt === task)
+            this.resumeAt = task.link
+        super.detach(task)
+    }
+
+    /**
+     * Resumes coroutines in turn until `budget` milliseconds have passed.
+     *
+     * Starts with the coroutine after the last one resumed on the previous
+     * tick. Stops early once a whole round resumes nothing, which happens when
+     * every coroutine is new or waiting.
+     *
+     * @param {number} [budget=this.budget] Milliseconds to spend
+     */
+    tick(budget = this.budget) {
+        if(this.clock.paused)
+            return
+        if(this.updatesClock)
+            this.clock.tick()
+        const tick = ++this.ticks
+        const start = this.now()
+        let failed = this.lateErrors.length > 0
+        let error = this.lateErrors[0]
+        this.lateErrors.length = 0
+        let steps = 0
+        let exhausted = false
+        const trace = _trace
+        _trace = null
+        let node = this.resumeAt || this.front
+        let first = node
+        let firstRound = true
+        let roundSteps = 0
+        while(node) {
+            this.cursor = node.link
+            const due = node.linkedAt !== tick &&
+                (firstRound || node.advancedAt !== tick || (!node.waiting && !node.polling))
+            if(due) {
+                try {
+                    if(this.inspecting)
+                        this.inspect(node)
+                    else
+                        this.step(node)
+                } catch(e) {
+                    if(!failed) {
+                        failed = true
+                        error = e
+                    }
+                }
+                steps++
+                roundSteps++
+                if(this.now() - start >= budget) {
+                    exhausted = this.size > 0
+                    node = this.cursor
+                    break
+                }
+            }
+            node = this.cursor || this.front
+            if(node === first || (first !== null && first.schedule !== this)) {
+                // a round has been completed
+                if(roundSteps === 0)
+                    break
+                firstRound = false
+                roundSteps = 0
+                first = node
+            }
+        }
+        this.cursor = null
+        this.resumeAt = node
+        _trace = trace
+        const elapsed = this.now() - start
+        let deferred = 0
+        if(exhausted)
+            for (const task of this)
+                if(task.advancedAt !== tick && task.linkedAt !== tick)
+                    deferred++
+        this.stats.steps = steps
+        this.stats.elapsed = elapsed
+        this.stats.deferred = deferred
+        this.totals.steps += steps
+        this.totals.elapsed += elapsed
+        this.totals.deferred += deferred
+        if(exhausted)
+            this.totals.exhausted++
+        if(failed)
+            throw error
+    }
+}
+
+/**
+ * A schedule built for very large numbers of short lived coroutines.
+ *
+ * Runs coroutines in the same order as {@link Schedule}, the order they were
+ * added in, with coroutines added during a tick first advanced on the next
+ * tick, but allocates nothing per coroutine once warmed up. Coroutines live
+ * in a dense array that is compacted in place as it is ticked, and their
+ * bookkeeping records are pooled and reused.
+ *
+ * To stay lean it leaves out the features that need a handle per coroutine:
+ * `add` returns the coroutine itself rather than a {@link Task}, there are no
+ * priorities, names, spawned children or inspection, and
+ * {@link currentTask} is `null` inside its coroutines. Yielded instructions,
+ * async generators, pausing, clocks and error policies work as they do on a
+ * {@link Schedule}. Removing a coroutine searches the schedule for it.
+ *
+ * @example
+ * const bullets = new PooledSchedule()
+ * function* bullet(x, y, dx, dy) {
+ *      for (let t = 0; t < 120; t++) {
+ *          x += dx
+ *          y += dy
+ *          yield
+ *      }
+ * }
+ * for (let i = 0; i < 20000; i++)
+ *      bullets.add(bullet(0, 0, Math.cos(i), Math.sin(i)))
+ * setInterval(bullets.tick, 16)
+ */
+export class PooledSchedule {
+    /**
+     * @param {Object} [options]
+     * @param {string|ErrorCallback} [options.errorPolicy="rethrow"] What to do
+     *  when a coroutine throws, as with {@link Schedule}. Error callbacks are
+     *  passed the coroutine instead of a task.
+     * @param {Clock} [options.clock] Clock for coroutines on this schedule to
+     *  measure time with, defaults to a new {@link Clock}
+     */
+    constructor({ errorPolicy = "rethrow", clock = new Clock() } = {}) {
+        /** Number of coroutines on the schedule. @type {number} */
+        this.size = 0
+        this.ticks = 0
+        this.slots = []
+        this.pool = []
+        this.running = null
+        this.errorPolicy = errorPolicy
+        this.lateErrors = []
+        /** The clock coroutines on this schedule measure time with. @type {Clock} */
+        this.clock = clock
+        this.updatesClock = true
+        this.tick = this.tick.bind(this)
+    }
+
+    /**
+     * `true` while the schedule's clock is paused.
+     *
+     * @type {boolean}
+     */
+    get paused() {
+        return this.clock.paused
+    }
+
+    /**
+     * Pauses the schedule, see {@link Schedule#pause}.
+     */
+    pause() {
+        this.clock.pause()
+    }
+
+    /**
+     * Resumes a paused schedule.
+     */
+    resume() {
+        this.clock.resume()
+    }
+
+    /**
+     * Schedules a coroutine for evaluation.
+     *
+     * @param {Generator|GeneratorFunction|AsyncGenerator|AsyncGeneratorFunction} coro
+     *  Coroutine to add
+     * @returns {Generator|AsyncGenerator} The coroutine, to pass to
+     *  {@link PooledSchedule#remove}
+     */
+    add(coro) {
+        const c = "next" in coro ? coro : coro()
+        const slot = this.pool.length > 0
+            ? this.pool.pop()
+            : { coro: null, source: null, waiting: null, yielded: undefined, done: false }
+        slot.coro = isAsync(c) ? fromAsync(c) : c
+        slot.source = c
+        this.slots.push(slot)
+        this.size++
+        return c
+    }
+
+    /**
+     * Iterates over the coroutines on the schedule, in the order they run.
+     *
+     * @yields {Generator|AsyncGenerator}
+     */
+    *[Symbol.iterator]() {
+        for (const slot of this.slots)
+            if(!slot.done)
+                yield slot.source
+    }
+
+    /**
+     * Removes a single coroutine from the schedule, stopping it with
+     * `Generator#return`.
+     *
+     * Takes time proportional to the number of coroutines on the schedule.
+     *
+     * @param {Generator|AsyncGenerator} coro Coroutine to remove
+     */
+    remove(coro) {
+        for (const slot of this.slots) {
+            if(!slot.done && slot.source === coro) {
+                this.kill(slot)
+                // a running coroutine cannot be returned, tick stops it after it yields
+                if(slot !== this.running)
+                    this.stop(slot)
+                return
+            }
+        }
+    }
+
+    /**
+     * Removes and stops all scheduled coroutines, in order.
+     *
+     * @see {@link Schedule#removeAll}
+     */
+    removeAll() {
+        let failed = false
+        let error
+        for (const slot of this.slots) {
+            if(!slot.done) {
+                this.kill(slot)
+                if(slot === this.running)
+                    continue
+                try {
+                    this.stop(slot)
+                } catch(e) {
+                    if(!failed) {
+                        failed = true
+                        error = e
+                    }
+                }
+            }
+        }
+        if(failed)
+            throw error
+    }
+
+    /**
+     * Advances all scheduled coroutines once, see {@link Schedule#tick}.
+     */
+    tick() {
+        if(this.clock.paused)
+            return
+        if(this.updatesClock)
+            this.clock.tick()
+        this.ticks++
+        const previous = _current
+        const previousSchedule = _ambientSchedule
+        const trace = _trace
+        _current = null
+        _ambientSchedule = this
+        _trace = null
+        const slots = this.slots
+        const end = slots.length
+        let failed = this.lateErrors.length > 0
+        let error = this.lateErrors[0]
+        this.lateErrors.length = 0
+        let kept = 0
+        try {
+            // running slots are swapped to the front, so until the end of the
+            // tick every slot is in the array exactly once and remove and
+            // iteration can still walk it
+            for (let i = 0; i < end; i++) {
+                const slot = slots[i]
+                if(!slot.done) {
+                    try {
+                        this.step(slot)
+                    } catch(e) {
+                        if(!failed) {
+                            failed = true
+                            error = e
+                        }
+                    }
+                }
+                if(!slot.done) {
+                    slots[i] = slots[kept]
+                    slots[kept++] = slot
+                }
+            }
+            // coroutines added during the tick stay behind the others
+            for (let i = end; i < slots.length; i++) {
+                const slot = slots[i]
+                if(!slot.done) {
+                    slots[i] = slots[kept]
+                    slots[kept++] = slot
+                }
+            }
+            for (let i = kept; i < slots.length; i++)
+                this.recycle(slots[i])
+            slots.length = kept
+        } finally {
+            _current = previous
+            _ambientSchedule = previousSchedule
+            _trace = trace
+        }
+        if(failed)
+            throw error
+    }
+
+    /**
+     * @ignore
+     */
+    step(slot) {
+        let result
+        this.running = slot
+        try {
+            result = advance(slot)
+        } catch(e) {
+            this.running = null
+            if(!slot.done)
+                this.kill(slot)
+            this.fail(e, slot.source)
+            return
+        }
+        this.running = null
+        if(slot.done)
+            this.stop(slot)
+        else if(result.done)
+            this.kill(slot)
+    }
+
+    /**
+     * Marks a slot as no longer running.
+     *
+     * @ignore
+     */
+    kill(slot) {
+        slot.done = true
+        this.size--
+    }
+
+    /**
+     * @ignore
+     */
+    stop(slot) {
+        try {
+            const waiting = slot.waiting
+            slot.waiting = null
+            // the yielder cleans up even if its instruction fails to, as with yield*
+            try {
+                if(waiting)
+                    waiting.return()
+            } finally {
+                slot.coro.return()
+            }
+        } catch(e) {
+            this.fail(e, slot.source)
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    recycle(slot) {
+        slot.coro = null
+        slot.source = null
+        slot.waiting = null
+        slot.yielded = undefined
+        slot.done = false
+        this.pool.push(slot)
+    }
+
+    /**
+     * @ignore
+     */
+    fail(error, coro) {
+        const policy = this.errorPolicy
+        if(typeof policy === "function")
+            policy(error, coro)
+        else if(policy === "log")
+            console.error("Error in coroutine:", error)
+        else
+            throw error
+    }
+
+    /**
+     * @ignore
+     */
+    failLater(error, coro) {
+        try {
+            this.fail(error, coro)
+        } catch(e) {
+            this.lateErrors.push(e)
+        }
+    }
+}
+
+let _clock = () => performance.now() / 1000
+
+/**
+ * Added to the clock function's time so that it carries on smoothly when the
+ * function is replaced.
+ *
+ * @ignore
+ */
+let _clockOffset = 0
+
+/**
+ * Sets a new clock function.
+ * 
+ * The clock function returns the elapsed application time in seconds. It is
+ * the time source of every {@link Clock} created without one, including the
+ * clocks schedules create for themselves, and so is ultimately what
+ * {@link seconds} uses to measure the passage of time. Defaults to
+ * `performance.now() / 1000`
+ *
+ * Clocks carry on from the time they had when the function is replaced, and
+ * only measure time by the new function from then on.
+ *
+ * @param {ClockCallback} f New clock function
+ * @returns {ClockCallback} The previous clock function
+ */
+export function setClock(f) {
+    const previous = _clock
+    const now = _clock() + _clockOffset
+    _clock = f
+    _clockOffset = now - f()
+    return previous
+}
+
+/**
+ * A scalable, pausable clock.
+ * 
+ * A clock measures time in seconds from when it is first read, running at
+ * `scale` times the speed of its source. While paused its time stands still.
+ * The source is either a function like the one passed to {@link setClock},
+ * or another clock, in which case scaling and pausing compound.
+ * 
+ * Every {@link Schedule} owns a clock and {@link seconds} waits on the clock
+ * of the schedule it is running on, so slowing down or pausing one schedule
+ * leaves coroutines on other schedules unaffected.
+ * 
+ * @example <caption>Slow motion</caption>
+ * const gameplay = new Schedule()
+ * const ui = new Schedule()
+ * gameplay.clock.scale = 0.25 // gameplay waits take four times as long
+ * ui.add(function* () {
+ *      yield* seconds(1)      // still a real second
+ * })
+ * 
+ * @example <caption>Hit-stop</caption>
+ * function* hitStop(duration) {
+ *      gameplay.pause()
+ *      yield* seconds(duration) // running on the ui schedule
+ *      gameplay.resume()
+ * }
+ */
+export class Clock {
+    /**
+     * @param {ClockCallback|Clock} [source] Time source, defaults to the
+     *  function assigned by {@link setClock}
+     */
+    constructor(source = () => _clock() + _clockOffset) {
+        this.source = source
+        this.paused = false
+        /** Seconds of clock time between the last two calls to {@link Clock#tick}. */
+        this.delta = 0
+        this.last = 0
+        this.base = 0
+        this.sourceBase = null
+        this.rate = 1
+    }
+
+    /**
+     * @ignore
+     */
+    read() {
+        return typeof this.source === "function" ? this.source() : this.source.time
+    }
+
+    /**
+     * Elapsed clock time in seconds.
+     * 
+     * @type {number}
+     */
+    get time() {
+        if(this.paused)
+            return this.base
+        const now = this.read()
+        if(this.sourceBase === null)
+            this.sourceBase = now
+        return this.base + (now - this.sourceBase) * this.rate
+    }
+
+    /**
+     * Rate the clock runs at relative to its source. `1` is normal speed,
+     * `0.5` half speed, `0` stops time without pausing.
+     * 
+     * @type {number}
+     */
+    get scale() {
+        return this.rate
+    }
+
+    set scale(s) {
+        this.rebase()
+        this.rate = s
+    }
+
+    /**
+     * Restarts measuring from the current time, so changes to the rate only
+     * apply from now on.
+     * 
+     * @ignore
+     */
+    rebase() {
+        if(this.paused)
+            return
+        this.base = this.time
+        this.sourceBase = this.read()
+    }
+
+    /**
+     * Switches the clock to a new time source without a jump in its time.
+     * 
+     * @param {ClockCallback|Clock} source New time source
+     */
+    setSource(source) {
+        if(!this.paused)
+            this.base = this.time
+        this.source = source
+        this.sourceBase = null
+    }
+
+    /**
+     * Stops the clock.
      */
-    removeAll() {
-        this.front = null
-        this.back = null
-        this.size = 0
+    pause() {
+        if(this.paused)
+            return
+        this.base = this.time
+        this.paused = true
     }
 
     /**
-     * Advances all scheduled coroutines once.
-     * 
-     * Each coroutine added with {@link Schedule#add} is advanced with
-     * `Generator#next`, causing it to run up to its next `yield` statement.
-     * Finished coroutines are removed from the schedule.
+     * Restarts the clock where it was paused.
+     */
+    resume() {
+        if(!this.paused)
+            return
+        this.paused = false
+        this.sourceBase = this.read()
+    }
+
+    /**
+     * Measures the time since the last call into {@link Clock#delta}.
      * 
-     * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Generator/next|Generator#next}
+     * Called by the clock's schedule at the start of each tick.
      */
     tick() {
-        let lastRetained = null
-        let node = this.front
-        let size = this.size
-        
-        while(size--) {
-            if (node.coro.next().done) {
-                this.size--
-                if(lastRetained) {
-                    lastRetained.link = node.link
-                    if(this.back === node)
-                        this.back = lastRetained
-                } else {
-                    this.front = node.link
-                    if(this.back === node)
-                        this.back = node.link
-                }
-            } else {
-                lastRetained = node
-            }
-            node = node.link
-        }
+        const time = this.time
+        this.delta = time - this.last
+        this.last = time
     }
 }
 
-let _clock = () => performance.now() / 1000
+/**
+ * Clock used by coroutines running outside of a schedule.
+ * 
+ * @ignore
+ */
+const defaultClock = new Clock()
 
 /**
- * Sets a new clock function.
+ * Returns the clock of the running coroutine's schedule.
  * 
- * The clock function returns the elapsed application time in seconds. It is
- * called by {@link seconds} to measure the passage of time. Defaults to
- * `performance.now() / 1000`
- *
- * @param {ClockCallback} f New clock function
+ * Time-based coroutines like {@link seconds} use this clock unless given one
+ * explicitly.
+ * 
+ * @returns {Clock} The running schedule's clock, or a clock following the
+ *  function assigned by {@link setClock} outside of a schedule
  */
-export function setClock(f) {
-    _clock = f
+export function currentClock() {
+    if(_current)
+        return _current.schedule.clock
+    return _ambientSchedule ? _ambientSchedule.clock : defaultClock
 }
 
 /**
  * Wait for a number of seconds.
  * 
  * @param {number} s How many seconds to wait
- * @param {ClockCallback} [clock=function assigned by {@link setClock}]
- *  A function that returns the elapsed application time in seconds
+ * @param {Clock|ClockCallback} [clock] The clock to
+ *  measure time with, or a function that returns the elapsed application time
+ *  in seconds. Defaults to the {@link currentClock} when the wait starts.
  * @returns {Generator} `undefined` when `yield*`ed
- * @see {@link setClock}
+ * @see {@link Clock}
  * 
  * @example
  * const schedule = new Schedule()
@@ -166,9 +1809,15 @@ export function setClock(f) {
  * setInterval(schedule.tick, 100)
  * // prints out Hello, waits four seconds, prints out World
  */
-export function* seconds(s, clock = _clock) {
-    let startTime = clock()
-    while (clock() - startTime < s) {
+export function* seconds(s, clock) {
+    // resolved on the first tick, once we know which schedule we are on
+    if(clock === undefined)
+        clock = currentClock()
+    const now = typeof clock === "function" ? clock : () => clock.time
+    let startTime = now()
+    const reason = () => `seconds(${s})`
+    while (now() - startTime < s) {
+        waitReason(reason)
         yield;
     }
 }
@@ -195,12 +1844,348 @@ export function* seconds(s, clock = _clock) {
  * schedule.tick() // prints out World
  */
 export function* frames(n) {
+    const reason = () => `frames(${n + 1})`
     while (n-- > 0) {
+        waitReason(reason)
         yield;
     }
 }
 
-let initialize = c => typeof c === "function" ? c() : c
+/**
+ * Schedules a child of the running coroutine.
+ *
+ * Must be called from inside a coroutine being advanced by
+ * {@link Schedule#tick}. The child is added to the same schedule and is
+ * cancelled, running its `finally` clauses, when the calling coroutine
+ * completes, throws or is cancelled. This extends the cleanup `all` and
+ * `first` provide for their arguments to coroutines that run independently.
+ *
+ * @param {Generator|GeneratorFunction} coro Coroutine to add
+ * @param {Object} [options] Options passed on to {@link Schedule#add}
+ * @returns {Task} A handle to the child coroutine
+ * @see {@link Task#spawn}
+ *
+ * @example
+ * function* flicker(light) {
+ *      while(true) {
+ *          light.visible = !light.visible
+ *          yield* seconds(0.1)
+ *      }
+ * }
+ *
+ * const schedule = new Schedule()
+ * const alarm = schedule.add(function* () {
+ *      spawn(flicker(redLight))
+ *      spawn(flicker(blueLight))
+ *      yield* seconds(10)
+ * })
+ * // both lights stop flickering after ten seconds, or when alarm is cancelled
+ */
+export function spawn(coro, options) {
+    if(!_current)
+        throw new Error("spawn must be called from inside a coroutine running on a Schedule")
+    return _current.spawn(coro, options)
+}
+
+/**
+ * Wait for a Promise to settle.
+ * 
+ * When waited on with `yield*` returns the value the Promise resolves with, or
+ * throws the reason it rejects with. Takes at least one frame, as Promises
+ * never settle synchronously. Non-Promise values are treated as resolved
+ * Promises.
+ * 
+ * @param {Promise|any} promise The Promise to wait for
+ * @returns {Generator} Returns the resolved value when `yield*`ed
+ * @see {@link Task#promise}
+ * 
+ * @example
+ * const schedule = new Schedule()
+ * schedule.add(function* () {
+ *      try {
+ *          const response = yield* waitFor(fetch("level.json"))
+ *          const level = yield* waitFor(response.json())
+ *          yield* playLevel(level)
+ *      } catch(e) {
+ *          console.error("could not load level", e)
+ *      }
+ * })
+ */
+export function* waitFor(promise) {
+    let settled = false
+    let rejected = false
+    let value
+    Promise.resolve(promise).then(
+        v => { settled = true; value = v },
+        e => { settled = true; rejected = true; value = e })
+    while(!settled) {
+        waitReason("promise")
+        yield
+    }
+    if(rejected)
+        throw value
+    return value
+}
+
+/**
+ * @ignore
+ */
+function isAsync(coro) {
+    return typeof coro[Symbol.asyncIterator] === "function"
+}
+
+/**
+ * Converts an async generator into a coroutine.
+ * 
+ * The async generator is resumed once per tick, as long as its last `yield`
+ * has been reached, and waits for as many ticks as each `await` takes.
+ * Yielded instructions are carried out by the coroutine's task as in sync
+ * coroutines, and their results or errors are passed back to the async
+ * generator. Promises are the exception, since JavaScript awaits promises
+ * yielded from async generators itself.
+ * 
+ * Only the code a tick resumes runs as part of the task: from the start, and
+ * from each `yield`, up to the next `await` or `yield*`. Code after those runs
+ * later in a microtask, where {@link currentTask}, {@link currentClock},
+ * {@link spawn} and {@link waitReason} find no running task, so a
+ * `yield* seconds(2)` there would time itself with the default clock. Run
+ * sync coroutines with `yield` instead, e.g. `yield seconds(2)`, which has the
+ * task run them, and `yield` once after an `await` before calling `spawn`.
+ * 
+ * Stopping the coroutine with `Generator#return` stops the async generator,
+ * but since that is asynchronous its `finally` clauses run once its pending
+ * `await`, if any, settles. Errors they throw are handled by the error policy
+ * of the schedule that ran the coroutine, and under `"rethrow"` are thrown by
+ * its next tick.
+ * 
+ * {@link Schedule#add}, the combinators and the yield instructions convert
+ * async generators automatically, so this is rarely needed directly.
+ * 
+ * @param {AsyncGenerator} coro Async generator to run
+ * @returns {Generator} Returns the async generator's return value when
+ *  `yield*`ed, or throws what it throws
+ * 
+ * @example
+ * schedule.add(async function* () {
+ *      const response = await fetch("level.json")
+ *      const level = await response.json()
+ *      yield seconds(1)
+ *      spawn(music(level))
+ *      while(!level.done) {
+ *          level.update()
+ *          yield
+ *      }
+ * })
+ */
+export function* fromAsync(coro) {
+    // whoever runs the coroutine hears about errors thrown after it is stopped
+    const owner = _current
+    const pool = _current ? null : _ambientSchedule
+    let finished = false
+    let settled
+    let failed
+    let result
+    let threw = false
+    let value
+    try {
+        while(true) {
+            settled = false
+            failed = false
+            const step = threw ? coro.throw(value) : coro.next(value)
+            step.then(
+                r => { settled = true; result = r },
+                e => { settled = true; failed = true; result = e })
+            threw = false
+            value = undefined
+            do {
+                waitReason("await")
+                yield
+            } while(!settled)
+            if(failed) {
+                finished = true
+                throw result
+            }
+            if(result.done) {
+                finished = true
+                return result.value
+            }
+            const sub = instruction(result.value)
+            if(sub !== null) {
+                try {
+                    value = yield sub
+                } catch(e) {
+                    threw = true
+                    value = e
+                }
+            }
+        }
+    } finally {
+        if(!finished) {
+            const schedule = owner ? owner.schedule : pool
+            coro.return().catch(e => {
+                if(schedule)
+                    schedule.failLater(e, owner || coro)
+                else
+                    console.error("Error in stopped async coroutine:", e)
+            })
+        }
+    }
+}
+
+/**
+ * Registered yield instructions, most recently registered first.
+ * 
+ * @ignore
+ */
+const instructions = []
+
+/**
+ * Teaches schedules to interpret a new kind of yielded value.
+ * 
+ * When a coroutine yields a value for which `test` returns `true`, the
+ * schedule calls `create` with it and runs the coroutine `create` returns in
+ * place of the yielding coroutine, as if it had been `yield*`ed. The yielding
+ * coroutine resumes once it completes, receiving its return value as the
+ * result of the `yield` expression, or has its error thrown at the `yield`.
+ * 
+ * Built in instructions are:
+ * 
+ * - a number waits that many seconds, as {@link seconds}
+ * - a Generator runs to completion and returns its value
+ * - an async generator runs to completion, as {@link fromAsync}
+ * - a Promise (or any thenable) is waited on, as {@link waitFor}
+ * - an array of instructions or coroutines waits for all of them, as
+ *   {@link all}
+ * 
+ * Instructions registered later take precedence over earlier ones, including
+ * the built in ones. A bare `yield` (`undefined`) is never an instruction and
+ * always waits one frame. Yielded values that are not instructions are ignored.
+ * 
+ * @param {function(any):boolean} test Recognizes the new kind of value
+ * @param {function(any):Generator} create Makes a coroutine that carries out
+ *  the instruction
+ * @see {@link instruction}
+ * 
+ * @example
+ * class Frames { constructor(n) { this.n = n } }
+ * registerInstruction(v => v instanceof Frames, v => frames(v.n))
+ * 
+ * schedule.add(function* () {
+ *      yield new Frames(10)
+ *      yield 0.5                         // half a second
+ *      const data = yield fetchJSON(url) // a Promise
+ *      yield [fadeOut(a), fadeOut(b)]    // both at once
+ * })
+ */
+export function registerInstruction(test, create) {
+    instructions.unshift({ test, create })
+}
+
+/**
+ * Converts a yielded value into the coroutine that carries it out.
+ * 
+ * @param {any} value A value yielded by a coroutine
+ * @returns {?Generator} The coroutine for the instruction, or `null` if `value`
+ *  is not an instruction
+ * @see {@link registerInstruction}
+ */
+export function instruction(value) {
+    if(value === undefined || value === null)
+        return null
+    for (const { test, create } of instructions)
+        if(test(value))
+            return create(value)
+    return null
+}
+
+registerInstruction(v => Array.isArray(v), v => all(...v))
+registerInstruction(v => typeof v.then === "function", waitFor)
+registerInstruction(v => typeof v.next === "function" && typeof v.throw === "function", v => v)
+registerInstruction(isAsync, fromAsync)
+registerInstruction(v => typeof v === "number", v => seconds(v))
+
+/**
+ * Runs a coroutine, carrying out the instructions it yields.
+ * 
+ * @ignore
+ * @param {Generator} coro
+ */
+function* run(coro) {
+    let threw = false
+    let value
+    try {
+        while(true) {
+            const result = threw ? coro.throw(value) : coro.next(value)
+            if(result.done)
+                return result.value
+            threw = false
+            const sub = instruction(result.value)
+            if(sub === null) {
+                value = yield result.value
+                continue
+            }
+            try {
+                value = yield* run(sub)
+            } catch(e) {
+                threw = true
+                value = e
+            }
+        }
+    } finally {
+        coro.return()
+    }
+}
+
+/**
+ * Advances a task's coroutine once, carrying out the instructions it yields.
+ * 
+ * Only allocates when the coroutine yields an instruction, so coroutines that
+ * only `yield` bare pay nothing for the protocol.
+ * 
+ * @ignore
+ * @param {Task} task
+ * @returns {Object} The iterator result of the task's coroutine
+ */
+function advance(task) {
+    let threw = false
+    let value
+    if(task.waiting) {
+        try {
+            const result = task.waiting.next()
+            if(!result.done)
+                return result
+            value = result.value
+        } catch(e) {
+            threw = true
+            value = e
+        }
+        task.waiting = null
+    }
+    while(true) {
+        const result = threw ? task.coro.throw(value) : task.coro.next(value)
+        if(result.done)
+            return result
+        task.yielded = result.value
+        const sub = instruction(result.value)
+        if(sub === null)
+            return result
+        // the first step runs right away, as it would with yield*
+        task.waiting = run(sub)
+        threw = false
+        try {
+            const step = task.waiting.next()
+            if(!step.done)
+                return result
+            value = step.value
+        } catch(e) {
+            threw = true
+            value = e
+        }
+        task.waiting = null
+    }
+}
+
+let initialize = c => run(instruction(typeof c === "function" ? c() : c))
 
 /**
  * Returns a coroutine that waits for every coroutine of `coros` to complete.
@@ -217,19 +2202,12 @@ let initialize = c => typeof c === "function" ? c() : c
  * const downloads = []
  * 
  * function* download(url) {
- *      let done = false
- *      fetch(url)
- *        .then(response => response.json())
- *        .then(data => {
- *              downloads.push(data)
- *              done = true
- *        });
- *      while(!done)
- *          yield
+ *      const response = yield* waitFor(fetch(url))
+ *      downloads.push(yield* waitFor(response.json()))
  * }
  * 
  * const schedule = new Schedule()
- * schedule.add(function() {
+ * schedule.add(function* () {
  *      yield* all(download('http://example.com/foo.json')
  *                 download('http://example.com/bar.json')
  *                 download('http://example.com/baz.json'))
@@ -238,14 +2216,23 @@ let initialize = c => typeof c === "function" ? c() : c
  * setInterval(schedule.tick, 100)
  */
 export function* all(...coros) {
-    coros = coros.map(initialize).reverse()
+    const sources = coros
+    const labels = coros.map((c, i) => labelOf(sources, i))
+    coros = coros.map(initialize)
     try {
         while(true) {
-            let i = coros.length
-            while(i--)
-                if(coros[i].next().done)
-                    coros.splice(i, 1)
-            if(coros.length == 0)
+            // compact finished coroutines out in place
+            let kept = 0
+            for (let i = 0; i < coros.length; i++) {
+                if(!traceStep(coros[i], labels[i]).done) {
+                    coros[kept] = coros[i]
+                    labels[kept] = labels[i]
+                    kept++
+                }
+            }
+            coros.length = kept
+            labels.length = kept
+            if(kept === 0)
                 return
             yield
         }
@@ -304,11 +2291,13 @@ export function* all(...coros) {
  * 
  */
 export function* first(...coros) {
+    const sources = coros
+    const labels = coros.map((c, i) => labelOf(sources, i))
     coros = coros.map(initialize)
     try {
         while(true) {
-            for (const c of coros) {
-                let { done, value } = c.next()
+            for (let i = 0; i < coros.length; i++) {
+                let { done, value } = traceStep(coros[i], labels[i])
                 if(done)
                     return value;
             }
@@ -320,6 +2309,237 @@ export function* first(...coros) {
     }
 }
 
+/**
+ * Returns a coroutine that waits for the first coroutine of `coros` to
+ * complete and reports which one it was.
+ * 
+ * Like {@link first}, but when waited on with `yield*` returns both the index
+ * of the first completed coroutine in `coros` and the value it returned. All
+ * other coroutines are cancelled with `Generator#return`.
+ * 
+ * @param {...(Generator|GeneratorFunction)} coros The coroutines to wait for
+ * @returns {Generator} Returns `{ index, value }` when `yield*`ed
+ * 
+ * @example
+ * const { index } = yield* race(waitForClick(yesButton), waitForClick(noButton))
+ * console.log(index === 0 ? "yes" : "no")
+ */
+export function* race(...coros) {
+    const sources = coros
+    const labels = coros.map((c, i) => labelOf(sources, i))
+    coros = coros.map(initialize)
+    try {
+        while(true) {
+            for (let index = 0; index < coros.length; index++) {
+                let { done, value } = traceStep(coros[index], labels[index])
+                if(done)
+                    return { index, value }
+            }
+            yield
+        }
+    } finally {
+        for (const c of coros)
+            c.return()
+    }
+}
+
+/**
+ * Returns a coroutine that waits for `k` coroutines of `coros` to complete.
+ * 
+ * Incomplete `coros` are advanced in order every frame until `k` of them have
+ * completed, then the rest are cancelled with `Generator#return`. Cancelling
+ * this coroutine cancels all remaining coroutines as well.
+ * 
+ * @param {number} k How many coroutines to wait for
+ * @param {...(Generator|GeneratorFunction)} coros The coroutines to wait for
+ * @returns {Generator} Returns an array of `{ index, value }` of the completed
+ *  coroutines in the order they completed when `yield*`ed
+ * 
+ * @example <caption>Two out of three switches</caption>
+ * yield* some(2, waitForSwitch(a), waitForSwitch(b), waitForSwitch(c))
+ * openDoor()
+ */
+export function* some(k, ...coros) {
+    if(k > coros.length)
+        throw new RangeError(`Cannot wait for ${k} of ${coros.length} coroutines`)
+    const sources = coros
+    const labels = coros.map((c, i) => labelOf(sources, i))
+    coros = coros.map(initialize)
+    const completed = []
+    const remaining = coros.map((c, index) => index)
+    try {
+        while(completed.length < k) {
+            for (let i = 0; i < remaining.length && completed.length < k; i++) {
+                const index = remaining[i]
+                let { done, value } = traceStep(coros[index], labels[index])
+                if(done) {
+                    completed.push({ index, value })
+                    remaining.splice(i--, 1)
+                }
+            }
+            if(completed.length < k)
+                yield
+        }
+        return completed
+    } finally {
+        for (const index of remaining)
+            coros[index].return()
+    }
+}
+
+/**
+ * Returns a coroutine that runs `coros` one after the other.
+ * 
+ * Each coroutine starts in the same frame the previous one completes, as with
+ * `yield*`. Generator functions are only invoked when their turn comes.
+ * Cancelling this coroutine cancels the running coroutine and any that have
+ * not started yet with `Generator#return`.
+ * 
+ * @param {...(Generator|GeneratorFunction)} coros The coroutines to run
+ * @returns {Generator} Returns an array of every coroutine's return value when
+ *  `yield*`ed
+ * 
+ * @example
+ * schedule.add(sequence(fadeOut, loadNextRoom, fadeIn))
+ */
+export function* sequence(...coros) {
+    const results = []
+    let i = 0
+    try {
+        for (; i < coros.length; i++) {
+            coros[i] = initialize(coros[i])
+            results.push(yield* coros[i])
+        }
+        return results
+    } finally {
+        for (; i < coros.length; i++)
+            if(typeof coros[i] !== "function")
+                coros[i].return()
+    }
+}
+
+/**
+ * Returns a coroutine that runs a coroutine repeatedly.
+ * 
+ * `coro` is invoked anew for every repetition, so it must be a generator
+ * function. A coroutine repeated forever must `yield`, or it will never give
+ * control back.
+ * 
+ * @param {GeneratorFunction} coro The coroutine to repeat
+ * @param {number} [times=Infinity] How many times to run `coro`
+ * @returns {Generator} `undefined` when `yield*`ed
+ * 
+ * @example
+ * schedule.add(repeat(function* () {
+ *      spawnEnemy()
+ *      yield* seconds(5)
+ * }))
+ */
+export function* repeat(coro, times = Infinity) {
+    if(typeof coro !== "function")
+        throw new TypeError("repeat needs a generator function, generators cannot be restarted")
+    for (let i = 0; i < times; i++)
+        yield* coro()
+}
+
+/**
+ * Wait until a condition is true.
+ * 
+ * `predicate` is checked immediately and then once a frame. If it is already
+ * true the wait takes no time.
+ * 
+ * @param {function():boolean} predicate Condition to wait for
+ * @returns {Generator} `undefined` when `yield*`ed
+ * 
+ * @example
+ * yield* waitUntil(() => player.health <= 0)
+ * showGameOver()
+ */
+export function* waitUntil(predicate) {
+    const reason = () => `waitUntil(${predicate.name || "predicate"})`
+    while(!predicate()) {
+        waitReason(reason)
+        yield
+    }
+}
+
+/**
+ * Wait while a condition is true.
+ * 
+ * `predicate` is checked immediately and then once a frame. If it is already
+ * false the wait takes no time.
+ * 
+ * @param {function():boolean} predicate Condition to wait out
+ * @returns {Generator} `undefined` when `yield*`ed
+ * 
+ * @example
+ * yield* waitWhile(() => dialog.isOpen)
+ */
+export function* waitWhile(predicate) {
+    const reason = () => `waitWhile(${predicate.name || "predicate"})`
+    while(predicate()) {
+        waitReason(reason)
+        yield
+    }
+}
+
+/**
+ * Returns a coroutine that runs `coro` for at most `s` seconds.
+ * 
+ * If `coro` has not completed after `s` seconds it is cancelled with
+ * `Generator#return`. If it completes on the frame time runs out it counts as
+ * completed.
+ * 
+ * @param {Generator|GeneratorFunction} coro The coroutine to run
+ * @param {number} s How many seconds to allow
+ * @param {Clock|ClockCallback} [clock] Clock to measure time with, see
+ *  {@link seconds}
+ * @returns {Generator} Returns `{ timedOut, value }` when `yield*`ed, where
+ *  `value` is the return value of `coro` if it completed
+ * 
+ * @example
+ * const { timedOut } = yield* timeout(waitForClick(button), 10)
+ * if(timedOut)
+ *      console.log("too slow")
+ */
+export function* timeout(coro, s, clock) {
+    const { index, value } = yield* race(coro, seconds(s, clock))
+    return index === 0 ? { timedOut: false, value } : { timedOut: true, value: undefined }
+}
+
+/**
+ * Returns a coroutine that runs `coro` under its own name in inspector traces.
+ * 
+ * Behaves exactly like `coro`. When the schedule is inspecting, everything
+ * `coro` does shows up in a child trace node called `name`, which makes deep
+ * `yield*` chains readable in {@link Schedule#snapshot}.
+ * 
+ * @param {string} name Name to show in traces
+ * @param {Generator|GeneratorFunction} coro The coroutine to run
+ * @returns {Generator} Returns the return value of `coro` when `yield*`ed
+ * 
+ * @example
+ * function* guard() {
+ *      while(true) {
+ *          yield* named("patrol", patrol(route))
+ *          yield* named("chase", chase(player))
+ *      }
+ * }
+ */
+export function* named(name, coro) {
+    coro = initialize(coro)
+    try {
+        while(true) {
+            const { done, value } = traceStep(coro, name)
+            if(done)
+                return value
+            yield value
+        }
+    } finally {
+        coro.return()
+    }
+}
+
 /**
  * A function that takes no arguments and returns a generator.
  * 
@@ -346,3 +2566,49 @@ export function* first(...coros) {
  * @see {@link setClock}
  * @see {@link seconds}
  */
+
+/**
+ * A function that handles an error thrown by a scheduled coroutine.
+ *
+ * @callback ErrorCallback
+ * @param {any} error The value the coroutine threw
+ * @param {Task} task The task of the coroutine that threw
+ * @see {@link Schedule}
+ */
+
+/**
+ * What a coroutine did during its last tick, recorded while its schedule is
+ * inspecting.
+ *
+ * @typedef {Object} TraceNode
+ * @property {string} name Name of the task, of the coroutine passed to
+ *  {@link named}, or the name or index of a coroutine passed to a combinator
+ * @property {?string} wait What the coroutine is waiting on, see
+ *  {@link waitReason}
+ * @property {TraceNode[]} children Nested coroutines advanced during the tick
+ */
+
+/**
+ * A task as described by {@link Schedule#snapshot}.
+ *
+ * @typedef {Object} TaskSnapshot
+ * @property {number} id The task's {@link Task#id}
+ * @property {string} name The task's name
+ * @property {number} priority The task's priority
+ * @property {number} age Ticks the task has been advanced
+ * @property {number} runTime Milliseconds the task ran for on its last tick
+ * @property {?string} wait What the task is waiting on
+ * @property {TraceNode[]} children Nested coroutines advanced on its last tick
+ * @property {TaskSnapshot[]} spawned Live tasks the task {@link spawn}ed
+ */
+
+/**
+ * A schedule as described by {@link Schedule#snapshot}.
+ *
+ * @typedef {Object} ScheduleSnapshot
+ * @property {number} ticks Ticks the schedule has run
+ * @property {number} size Number of live tasks
+ * @property {boolean} paused Whether the schedule's clock is paused
+ * @property {TaskSnapshot[]} tasks Live tasks that were not spawned by other
+ *  tasks, in the order they run
+ */
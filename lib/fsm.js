@@ -0,0 +1,232 @@
+/** @module fsm */
+
+/**
+ * A finite state machine whose states are coroutines.
+ *
+ * Each state is a generator function, or an object with a `run` generator
+ * function and optional `enter`, `exit` and `guard` functions. While a state is
+ * current its coroutine runs as a task on the machine's {@link Schedule}.
+ * Transitioning with {@link StateMachine#go} cancels that task, running its
+ * `finally` clauses, then calls the old state's `exit` and the new state's
+ * `enter` and starts the new state's coroutine.
+ *
+ * A state can transition by calling `go` itself, or by returning the name of
+ * the next state. A state whose coroutine returns anything else, including a
+ * string that is not one of the machine's states, stays current, idle, until
+ * something else calls `go`. If a state transitions out of itself by calling
+ * `go` it keeps running up to its next `yield`, just as with
+ * {@link Task#cancel}.
+ *
+ * A state's `guard` can refuse transitions into it. The names of previous
+ * states are kept in {@link StateMachine#history}, so a state can return to
+ * wherever it was entered from with {@link StateMachine#back}.
+ *
+ * @example
+ * const guard = new StateMachine({
+ *      *patrol(data, machine) {
+ *          try {
+ *              while(!canSee(player)) yield* walk(route)
+ *              return "chase"
+ *          } finally {
+ *              stopWalking()
+ *          }
+ *      },
+ *      chase: {
+ *          enter() { alarm.play() },
+ *          *run() {
+ *              yield* first(follow(player), seconds(10))
+ *              return "patrol"
+ *          },
+ *          exit() { alarm.stop() }
+ *      },
+ *      stunned: {
+ *          guard: (data, machine, from) => from !== "stunned",
+ *          *run(data, machine) {
+ *              yield data.duration
+ *              machine.back()
+ *              yield
+ *          }
+ *      }
+ * })
+ * guard.start(schedule)
+ * hit.connect(() => guard.go("stunned", { duration: 2 }))
+ */
+export class StateMachine {
+    /**
+     * @param {Object<string, GeneratorFunction|StateDefinition>} states The
+     *  states by name
+     * @param {Object} [options]
+     * @param {string} [options.initial] State to start in, defaults to the
+     *  first state
+     * @param {?string} [options.name=null] Name of the machine, tasks are named
+     *  `name.state`
+     * @param {number} [options.historySize=16] Number of previous states to
+     *  remember
+     */
+    constructor(states, { initial = Object.keys(states)[0], name = null, historySize = 16 } = {}) {
+        this.states = {}
+        for (const state of Object.keys(states)) {
+            const definition = states[state]
+            this.states[state] = typeof definition === "function" ? { run: definition } : definition
+        }
+        this.initial = initial
+        this.name = name
+        this.historySize = historySize
+        /** Name of the current state, or `null` if the machine is stopped. @type {?string} */
+        this.state = null
+        /** Names of previous states, most recent last. @type {string[]} */
+        this.history = []
+        /** Task running the current state's coroutine. @type {?Task} */
+        this.task = null
+        this.schedule = null
+        this.options = null
+    }
+
+    /**
+     * `true` if `state` is the current state.
+     *
+     * @param {string} state Name of a state
+     * @returns {boolean}
+     */
+    is(state) {
+        return this.state === state
+    }
+
+    /**
+     * Enters the initial state, running state coroutines on `schedule`.
+     *
+     * Starting a started machine restarts it.
+     *
+     * @param {Schedule|PhasedSchedule} schedule Schedule to run states on
+     * @param {any} [data] Passed to the initial state
+     * @param {Object} [options] Options for {@link Schedule#add}, such as
+     *  `priority` or `phase`
+     * @returns {StateMachine} This machine
+     */
+    start(schedule, data, options = {}) {
+        this.stop()
+        this.schedule = schedule
+        this.options = options
+        this.history = []
+        this.transition(this.initial, data, false, true)
+        return this
+    }
+
+    /**
+     * Exits the current state and stops the machine.
+     */
+    stop() {
+        if(this.state === null)
+            return
+        this.leave(null)
+        this.state = null
+    }
+
+    /**
+     * Transitions to `state`.
+     *
+     * @param {string} state Name of the state to go to
+     * @param {any} [data] Passed to the state's `guard`, `enter` and `run`
+     * @returns {boolean} `true` if the machine transitioned, `false` if the
+     *  state's guard refused
+     * @throws {Error} If the machine is stopped or `state` does not exist
+     */
+    go(state, data) {
+        return this.transition(state, data, true, false)
+    }
+
+    /**
+     * Transitions to the most recent state in {@link StateMachine#history},
+     * removing it from the history.
+     *
+     * @param {any} [data] Passed to the state
+     * @returns {boolean} `true` if the machine transitioned, `false` if the
+     *  history is empty or the state's guard refused
+     */
+    back(data) {
+        if(this.history.length === 0)
+            return false
+        const state = this.history[this.history.length - 1]
+        if(!this.transition(state, data, false, false))
+            return false
+        this.history.pop()
+        return true
+    }
+
+    /**
+     * @ignore
+     */
+    transition(state, data, record, starting) {
+        if(!starting && this.state === null)
+            throw new Error(`Cannot go to ${state}, the state machine is not running`)
+        const definition = this.states[state]
+        if(!definition)
+            throw new Error(`Unknown state ${state}`)
+        const from = this.state
+        if(definition.guard && !definition.guard(data, this, from))
+            return false
+        if(from !== null) {
+            this.leave(state)
+            if(record) {
+                this.history.push(from)
+                if(this.history.length > this.historySize)
+                    this.history.shift()
+            }
+        }
+        this.state = state
+        if(definition.enter)
+            definition.enter(data, this, from)
+        // enter may have transitioned already
+        if(this.state === state && definition.run)
+            this.run(state, definition.run(data, this))
+        return true
+    }
+
+    /**
+     * Cancels the current state's task and calls its `exit`.
+     *
+     * @ignore
+     */
+    leave(to) {
+        const task = this.task
+        this.task = null
+        if(task)
+            task.cancel()
+        const definition = this.states[this.state]
+        if(definition.exit)
+            definition.exit(this, to)
+    }
+
+    /**
+     * @ignore
+     */
+    run(state, coro) {
+        const name = this.name ? `${this.name}.${state}` : state
+        const task = this.schedule.add(coro, { ...this.options, name })
+        this.task = task
+        task.onDone(t => {
+            if(this.task === t && !t.isCancelled && t.error === undefined && typeof t.result === "string" &&
+                Object.prototype.hasOwnProperty.call(this.states, t.result)) {
+                this.task = null
+                this.go(t.result)
+            }
+        })
+    }
+}
+
+/**
+ * A state of a {@link StateMachine}.
+ *
+ * @typedef {Object} StateDefinition
+ * @property {function(any, StateMachine):Generator} [run] Coroutine to run
+ *  while the state is current, called with the transition's data and the
+ *  machine. Returning the name of one of the machine's states transitions
+ *  to that state.
+ * @property {function(any, StateMachine, ?string)} [enter] Called with the
+ *  data, the machine and the previous state when the state is entered
+ * @property {function(StateMachine, ?string)} [exit] Called with the machine
+ *  and the next state, `null` when stopping, when the state is left
+ * @property {function(any, StateMachine, ?string):boolean} [guard] Called
+ *  with the data, the machine and the current state before entering, the
+ *  transition only happens if it returns `true`
+ */
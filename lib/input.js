@@ -54,14 +54,22 @@ function deepFreeze(object) {
 export class Input {
     /**
      * @param {function[]} inputPipeline array of functions that generate input values every frame
+     * @param {Object} [options]
+     * @param {number} [options.history=0] number of past frames to keep in
+     *  `history`, `0` to keep none
+     * @param {?function():number} [options.clock] clock function read by the
+     *  {@link time} input while this input system collects, defaults to the
+     *  one set with {@link setClock}
      */
-    constructor(inputPipeline=[]) {
+    constructor(inputPipeline=[], { history = 0, clock = null } = {}) {
         for (const f of inputPipeline)
             if (f.name == "") throw new Error("All input functions must have names")
 
         this.inputPipeline = inputPipeline
         this.last = null
         this.now = null
+        this.history = history > 0 ? new InputHistory(history) : null
+        this.clock = clock
     }
 
     /**
@@ -72,8 +80,10 @@ export class Input {
      * associated with the functions' names in `now`.
      * 
      * Input functions are called by passing in the new value for `now` as the
-     * first argument and the last frame's input as the second argument. These
-     * arguments can be ignored if they are not useful.
+     * first argument, the last frame's input as the second argument and the
+     * {@link InputHistory} as the third, if the input system keeps one. These
+     * arguments can be ignored if they are not useful. The new frame is added
+     * to the history once every function has run.
      * 
      * Expected to be called once a frame before any application logic.
      * 
@@ -97,11 +107,84 @@ export class Input {
      */
     collect() {
         let _now = {}
-        for (const f of this.inputPipeline) {
-            _now[f.name] = f(_now, this.now)
+        const previousClock = _clock
+        if (this.clock)
+            _clock = this.clock
+        try {
+            for (const f of this.inputPipeline) {
+                _now[f.name] = f(_now, this.now, this.history)
+            }
+        } finally {
+            _clock = previousClock
         }
         this.last = this.now
         this.now = deepFreeze(_now)
+        if (this.history)
+            this.history.push(this.now)
+    }
+}
+
+/**
+ * A fixed number of past input frames
+ * 
+ * A ring buffer that keeps the most recent frames collected by an
+ * {@link Input} created with the `history` option, so that nothing is
+ * allocated as frames come and go. Frames are indexed by age, `0` being the
+ * newest.
+ * 
+ * @example
+ * const input = new Input([time, keyboard(window)], { history: 60 })
+ * input.collect()
+ * input.history.get(0) // same as input.now
+ * input.history.get(10) // the frame collected 10 frames ago
+ * for (const frame of input.history) { ... } // newest to oldest
+ */
+export class InputHistory {
+    /**
+     * @param {number} capacity most frames to keep
+     */
+    constructor(capacity) {
+        if (!(capacity > 0))
+            throw new Error(`history capacity must be positive, got ${capacity}`)
+        this.capacity = capacity
+        this.frames = new Array(capacity)
+        this.head = capacity - 1
+        this.length = 0
+    }
+
+    /**
+     * Adds a frame, dropping the oldest if the history is full.
+     * 
+     * @param {Object} frame
+     */
+    push(frame) {
+        this.head = (this.head + 1) % this.capacity
+        this.frames[this.head] = frame
+        this.length = Math.min(this.length + 1, this.capacity)
+    }
+
+    /**
+     * @param {number} [age=0] how many frames ago
+     * @returns {Object|undefined} the frame, or `undefined` if it is older
+     * than the history goes
+     */
+    get(age = 0) {
+        if (age < 0 || age >= this.length)
+            return undefined
+        return this.frames[(this.head - age + this.capacity) % this.capacity]
+    }
+
+    /**
+     * Removes every frame.
+     */
+    clear() {
+        this.frames.fill(undefined)
+        this.length = 0
+    }
+
+    *[Symbol.iterator]() {
+        for (let age = 0; age < this.length; age++)
+            yield this.get(age)
     }
 }
 
@@ -117,6 +200,24 @@ export function init(...inputFunctions) {
     return new Input(inputFunctions)
 }
 
+let _clock = () => performance.now() / 1000
+
+/**
+ * Sets a new clock function.
+ * 
+ * The clock function returns the elapsed application time in seconds and is
+ * read by the {@link time} input of input systems without a clock of their
+ * own. Defaults to `performance.now() / 1000`
+ * 
+ * @param {function():number} f New clock function
+ * @returns {function():number} The previous clock function
+ */
+export function setClock(f) {
+    const previous = _clock
+    _clock = f
+    return previous
+}
+
 /**
  * @typedef TimeSnapshot
  * @property {number} now the current time in seconds
@@ -135,8 +236,633 @@ export function init(...inputFunctions) {
  * input.now.time // => { now: ..., delta: ..., frame: 0 }
  */
 export function time(_thisFrame, prevFrame) {
-    let now = performance.now() / 1000
+    let now = _clock()
     let delta = !prevFrame ? 0 : now - prevFrame.time.now;
     let frame = !prevFrame ? 0 : prevFrame.time.frame + 1
     return { now, delta, frame }
-}
\ No newline at end of file
+}
+
+/**
+ * Creates a plain object with a `true` property for every name.
+ *
+ * @ignore
+ * @param {Iterable<string>} names
+ * @returns {Object<string, boolean>}
+ */
+function flags(names) {
+    const result = {};
+    for (const name of names)
+        result[name] = true;
+    return result;
+}
+
+/**
+ * @typedef KeyStates
+ * @property {Object<string, boolean>} down keys held at the end of the frame
+ * @property {Object<string, boolean>} pressed keys that went down this frame
+ * @property {Object<string, boolean>} released keys that went up this frame
+ */
+
+/**
+ * @typedef KeyboardSnapshot
+ * @property {KeyStates} code key states by physical key, e.g. `KeyW` or
+ *  `ShiftLeft`, independent of keyboard layout
+ * @property {KeyStates} key key states by the character or name the key
+ *  produces, e.g. `w`, `W` or `Shift`
+ */
+
+/**
+ * Keyboard input
+ * 
+ * Returns an input function named `keyboard` that listens to `keydown`,
+ * `keyup` and `blur` events on `target`. Events are buffered between calls
+ * to `collect` and replayed in order, so a key pressed and released within a
+ * single frame still shows up as both `pressed` and `released` that frame.
+ * Key repeat events are ignored and every key is released when the target
+ * loses focus.
+ * 
+ * A key is released under the `key` it was pressed with, so a key pressed
+ * as `a` and released as `A` because Shift went down in between is reported
+ * as `a` both times.
+ * 
+ * @param {EventTarget} [target=globalThis] Object to listen to, usually
+ *  `window` or a canvas
+ * @returns {function} Input function returning a {@link KeyboardSnapshot},
+ *  with a `dispose()` method that removes its event listeners
+ * 
+ * @example
+ * const input = new Input([time, keyboard(window)])
+ * input.collect()
+ * if (input.now.keyboard.code.down.KeyW) player.walk()
+ * if (input.now.keyboard.key.pressed.Enter) menu.select()
+ */
+export function keyboard(target = globalThis) {
+    if (!target || typeof target.addEventListener !== "function")
+        throw new Error("keyboard input needs an event target, e.g. window");
+    let buffer = [];
+    const held = new Map(); // code -> key it was pressed with
+    const listener = e => buffer.push({ type: e.type, code: e.code, key: e.key, repeat: e.repeat });
+    for (const type of ["keydown", "keyup", "blur"])
+        target.addEventListener(type, listener);
+
+    function keyboard() {
+        const events = buffer;
+        buffer = [];
+        const pressed = { code: [], key: [] };
+        const released = { code: [], key: [] };
+        const release = code => {
+            released.code.push(code);
+            released.key.push(held.get(code));
+            held.delete(code);
+        };
+        for (const e of events) {
+            if (e.type === "keydown") {
+                if (e.repeat || held.has(e.code))
+                    continue;
+                held.set(e.code, e.key);
+                pressed.code.push(e.code);
+                pressed.key.push(e.key);
+            } else if (e.type === "keyup") {
+                if (held.has(e.code))
+                    release(e.code);
+            } else {
+                for (const code of Array.from(held.keys()))
+                    release(code);
+            }
+        }
+        return {
+            code: { down: flags(held.keys()), pressed: flags(pressed.code), released: flags(released.code) },
+            key: { down: flags(held.values()), pressed: flags(pressed.key), released: flags(released.key) }
+        };
+    }
+
+    keyboard.dispose = () => {
+        for (const type of ["keydown", "keyup", "blur"])
+            target.removeEventListener(type, listener);
+    };
+    return keyboard;
+}
+
+/**
+ * Button states by button number: `0` is the main button, usually the left
+ * mouse button or a touch, `1` the middle and `2` the secondary button.
+ *
+ * @typedef {KeyStates} ButtonStates
+ */
+
+/**
+ * @typedef PointerState
+ * @property {number} id the pointer's `pointerId`
+ * @property {string} type `mouse`, `pen` or `touch`
+ * @property {boolean} primary `true` for the primary pointer of its type
+ * @property {number} x horizontal position in pixels from the target's left
+ *  edge
+ * @property {number} y vertical position in pixels from the target's top edge
+ * @property {number} nx `x` as a fraction of the target's width, `0` to `1`
+ *  inside the target
+ * @property {number} ny `y` as a fraction of the target's height
+ * @property {number} dx horizontal movement in pixels since the last frame
+ * @property {number} dy vertical movement in pixels since the last frame
+ * @property {ButtonStates} buttons
+ * @property {boolean} ended `true` on the last frame a touch or pen pointer is
+ *  reported, after it was lifted or cancelled
+ */
+
+/**
+ * @typedef PointerSnapshot
+ * @property {Object<number, PointerState>} pointers every active pointer by id
+ * @property {PointerState|null} primary the primary pointer that most recently
+ *  had an event, or any other primary pointer once that one is removed.
+ *  `null` if there is none
+ * @property {{x: number, y: number, z: number}} wheel wheel movement in pixels
+ *  since the last frame
+ * @property {boolean} locked `true` if the pointer is locked
+ */
+
+const pointerEvents = ["pointerdown", "pointermove", "pointerup", "pointercancel", "wheel", "blur"];
+
+// bits of PointerEvent#buttons by button number
+const buttonBits = [1, 4, 2, 8, 16];
+
+/**
+ * Pointer input
+ * 
+ * Returns an input function named `pointer` that listens to pointer, wheel
+ * and `blur` events on `target`. Mouse, pen and touch are reported through
+ * one model keyed by `pointerId`, so code written against
+ * `input.now.pointer.primary` works with a mouse or a finger. Events are
+ * buffered between calls to `collect` like {@link keyboard}'s, so clicks
+ * shorter than a frame are not lost.
+ * 
+ * The mouse stays in `pointers` once it has been seen. Touch and pen
+ * pointers are removed the frame after they are lifted or cancelled, and are
+ * reported one last time with `ended` set and their buttons released.
+ * 
+ * While the pointer is locked the position stops changing and `dx`/`dy` are
+ * taken from the events' `movementX`/`movementY` instead, so mouse look keeps
+ * working past the edges of the screen. Wheel deltas in lines or pages are
+ * converted to pixels.
+ * 
+ * @param {EventTarget} [target=globalThis] Object to listen to, usually a
+ *  canvas. Positions are relative to its bounding rectangle, or the window
+ *  for targets without one
+ * @param {Object} [options]
+ * @param {function():boolean} [options.locked] Returns `true` while the
+ *  pointer is locked, defaults to checking the target's document for a
+ *  `pointerLockElement`
+ * @returns {function} Input function returning a {@link PointerSnapshot},
+ *  with a `dispose()` method that removes its event listeners
+ * 
+ * @example
+ * const input = new Input([time, pointer(canvas)])
+ * input.collect()
+ * const { primary } = input.now.pointer
+ * if (primary && primary.buttons.pressed[0]) shoot(primary.x, primary.y)
+ * camera.zoom(input.now.pointer.wheel.y)
+ */
+export function pointer(target = globalThis, { locked } = {}) {
+    if (!target || typeof target.addEventListener !== "function")
+        throw new Error("pointer input needs an event target, e.g. a canvas");
+    if (!locked) {
+        const doc = target.ownerDocument || target.document;
+        locked = () => Boolean(doc && doc.pointerLockElement);
+    }
+    let buffer = [];
+    const pointers = new Map(); // id -> { state, buttons: Set }
+    let primaryId = null;
+    const listener = e => buffer.push({
+        type: e.type, pointerId: e.pointerId, pointerType: e.pointerType, isPrimary: e.isPrimary,
+        clientX: e.clientX, clientY: e.clientY, movementX: e.movementX, movementY: e.movementY,
+        button: e.button, buttons: e.buttons,
+        deltaX: e.deltaX, deltaY: e.deltaY, deltaZ: e.deltaZ, deltaMode: e.deltaMode
+    });
+    for (const type of pointerEvents)
+        target.addEventListener(type, listener);
+
+    function bounds() {
+        if (typeof target.getBoundingClientRect === "function")
+            return target.getBoundingClientRect();
+        return { left: 0, top: 0, width: target.innerWidth || 1, height: target.innerHeight || 1 };
+    }
+
+    function pointer() {
+        const events = buffer;
+        buffer = [];
+        const isLocked = locked();
+        const rect = bounds();
+        const wheel = { x: 0, y: 0, z: 0 };
+        const frame = new Map(); // id -> { pressed, released, startX, startY, dx, dy }
+
+        // remove pointers that ended last frame
+        for (const [id, p] of pointers)
+            if (p.state.ended)
+                pointers.delete(id);
+
+        const begin = p => {
+            if (!frame.has(p.state.id))
+                frame.set(p.state.id, { pressed: [], released: [], startX: p.state.x, startY: p.state.y, dx: 0, dy: 0 });
+        };
+        const track = e => {
+            let p = pointers.get(e.pointerId);
+            if (!p) {
+                p = { state: { x: e.clientX - rect.left, y: e.clientY - rect.top }, buttons: new Set() };
+                pointers.set(e.pointerId, p);
+            }
+            Object.assign(p.state, { id: e.pointerId, type: e.pointerType, primary: Boolean(e.isPrimary), ended: false });
+            begin(p);
+            if (e.isPrimary)
+                primaryId = e.pointerId;
+            return p;
+        };
+        const move = (p, e) => {
+            if (isLocked) {
+                const f = frame.get(p.state.id);
+                f.dx += e.movementX || 0;
+                f.dy += e.movementY || 0;
+            } else {
+                p.state.x = e.clientX - rect.left;
+                p.state.y = e.clientY - rect.top;
+            }
+        };
+        const press = (p, button) => {
+            if (p.buttons.has(button))
+                return;
+            p.buttons.add(button);
+            frame.get(p.state.id).pressed.push(button);
+        };
+        const release = (p, button) => {
+            if (!p.buttons.delete(button))
+                return;
+            frame.get(p.state.id).released.push(button);
+        };
+        const end = p => {
+            for (const button of Array.from(p.buttons))
+                release(p, button);
+            if (p.state.type !== "mouse")
+                p.state.ended = true;
+        };
+
+        for (const e of events) {
+            if (e.type === "wheel") {
+                const scale = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? rect.height : 1;
+                wheel.x += (e.deltaX || 0) * scale;
+                wheel.y += (e.deltaY || 0) * scale;
+                wheel.z += (e.deltaZ || 0) * scale;
+            } else if (e.type === "blur") {
+                for (const p of pointers.values()) {
+                    begin(p);
+                    end(p);
+                }
+            } else {
+                const p = track(e);
+                move(p, e);
+                if (e.type === "pointerdown")
+                    press(p, e.button);
+                else if (e.type === "pointerup")
+                    release(p, e.button);
+                else if (e.type === "pointermove" && e.button >= 0) {
+                    // a button changed while another was held
+                    if (e.buttons & buttonBits[e.button])
+                        press(p, e.button);
+                    else
+                        release(p, e.button);
+                }
+                if (e.type === "pointercancel" || (e.type === "pointerup" && e.pointerType !== "mouse"))
+                    end(p);
+            }
+        }
+
+        const snapshot = {};
+        for (const [id, p] of pointers) {
+            const f = frame.get(id);
+            const state = p.state;
+            state.nx = state.x / (rect.width || 1);
+            state.ny = state.y / (rect.height || 1);
+            state.dx = !f ? 0 : isLocked ? f.dx : state.x - f.startX;
+            state.dy = !f ? 0 : isLocked ? f.dy : state.y - f.startY;
+            state.buttons = {
+                down: flags(p.buttons),
+                pressed: flags(f ? f.pressed : []),
+                released: flags(f ? f.released : [])
+            };
+            snapshot[id] = { ...state };
+        }
+        if (!pointers.has(primaryId))
+            primaryId = null;
+        for (const [id, p] of pointers)
+            if (primaryId === null && p.state.primary)
+                primaryId = id;
+        return {
+            pointers: snapshot,
+            primary: primaryId === null ? null : snapshot[primaryId],
+            wheel,
+            locked: isLocked
+        };
+    }
+
+    pointer.dispose = () => {
+        for (const type of pointerEvents)
+            target.removeEventListener(type, listener);
+    };
+    return pointer;
+}
+
+/**
+ * Names of the buttons of the standard gamepad layout, in the order of the
+ * standard mapping.
+ *
+ * @see https://w3c.github.io/gamepad/#remapping
+ */
+export const gamepadButtons = [
+    "a", "b", "x", "y",
+    "leftBumper", "rightBumper", "leftTrigger", "rightTrigger",
+    "select", "start", "leftStick", "rightStick",
+    "up", "down", "left", "right",
+    "home"
+];
+
+/**
+ * @typedef GamepadMapping
+ * @property {number[]} buttons index of the controller's button for each of
+ *  the {@link gamepadButtons}, in order
+ * @property {number[]} axes indices of the controller's axes for the left
+ *  stick's x and y and the right stick's x and y
+ */
+
+/**
+ * @typedef GamepadState
+ * @property {number} index the gamepad's index in `navigator.getGamepads()`
+ * @property {string} id the gamepad's id
+ * @property {boolean} standard `false` if the controller has no standard
+ *  mapping and no mapping was configured for it, in which case buttons and
+ *  axes are named by their index in the standard layout as a best guess
+ * @property {{left: {x: number, y: number}, right: {x: number, y: number}}} sticks
+ *  stick positions after deadzones and curves, `-1` to `1` with up negative
+ * @property {{left: number, right: number}} triggers trigger values after
+ *  deadzones, `0` to `1`
+ * @property {KeyStates} buttons button states by name from
+ *  {@link gamepadButtons}
+ */
+
+/**
+ * @typedef GamepadSnapshot
+ * @property {Array<GamepadState|null>} pads every gamepad by index, `null` for
+ *  empty slots
+ * @property {GamepadState|null} primary the connected gamepad with the lowest
+ *  index
+ * @property {number[]} connected indices of the gamepads connected this frame
+ * @property {number[]} disconnected indices of the gamepads disconnected this
+ *  frame
+ */
+
+/**
+ * Applies a deadzone to a value and rescales the rest of its range.
+ *
+ * @ignore
+ * @param {number} value magnitude between `0` and `1`
+ * @param {number} deadzone
+ * @param {function(number):number} curve
+ * @returns {number}
+ */
+function rescale(value, deadzone, curve) {
+    if (value <= deadzone)
+        return 0;
+    return curve(Math.min(1, (value - deadzone) / (1 - deadzone)));
+}
+
+/**
+ * Gamepad input
+ * 
+ * Returns an input function named `gamepad` that polls `getGamepads` every
+ * frame and reports every controller through the standard mapping, with
+ * buttons named after {@link gamepadButtons}. Button edges and connections
+ * are computed by comparing against the previous frame's snapshot, so they
+ * are only reported correctly when run through {@link Input#collect}.
+ * 
+ * Stick deadzones are `radial` by default, which ignores small movements in
+ * any direction without snapping diagonals to the axes, or `axial`, which
+ * applies the deadzone to each axis on its own. Either way the range outside
+ * the deadzone is rescaled to start at `0`, and then passed through `curve`
+ * to give finer control near the center.
+ * 
+ * @param {Object} [options]
+ * @param {function():Array<Gamepad|null>} [options.getGamepads] Returns the
+ *  connected gamepads, defaults to `navigator.getGamepads()`
+ * @param {number} [options.deadzone=0.15] Stick deadzone, `0` to `1`
+ * @param {string} [options.deadzoneType="radial"] `radial` or `axial`
+ * @param {number} [options.triggerDeadzone=0.05] Trigger deadzone, `0` to `1`
+ * @param {number|function(number):number} [options.curve=1] Response curve
+ *  applied to stick magnitudes between `0` and `1`, or an exponent, e.g. `2`
+ *  for a quadratic curve
+ * @param {Object<string, GamepadMapping>} [options.mappings] Mappings for
+ *  controllers without a standard mapping, by gamepad id
+ * @returns {function} Input function returning a {@link GamepadSnapshot}
+ * 
+ * @example
+ * const input = new Input([time, gamepad({ deadzone: 0.2, curve: 2 })])
+ * input.collect()
+ * const pad = input.now.gamepad.primary
+ * if (pad) {
+ *      player.move(pad.sticks.left.x, pad.sticks.left.y)
+ *      if (pad.buttons.pressed.a) player.jump()
+ * }
+ */
+export function gamepad({
+    getGamepads = () => globalThis.navigator && navigator.getGamepads ? navigator.getGamepads() : [],
+    deadzone = 0.15,
+    deadzoneType = "radial",
+    triggerDeadzone = 0.05,
+    curve = 1,
+    mappings = {}
+} = {}) {
+    if (deadzoneType !== "radial" && deadzoneType !== "axial")
+        throw new Error(`unknown deadzone type ${deadzoneType}, expected radial or axial`);
+    const response = typeof curve === "function" ? curve : x => Math.pow(x, curve);
+    const standard = {
+        buttons: gamepadButtons.map((_, i) => i),
+        axes: [0, 1, 2, 3]
+    };
+
+    function stick(x = 0, y = 0) {
+        if (deadzoneType === "axial")
+            return {
+                x: Math.sign(x) * rescale(Math.abs(x), deadzone, response),
+                y: Math.sign(y) * rescale(Math.abs(y), deadzone, response)
+            };
+        const magnitude = Math.hypot(x, y);
+        if (magnitude === 0)
+            return { x: 0, y: 0 };
+        const scale = rescale(magnitude, deadzone, response) / magnitude;
+        return { x: x * scale, y: y * scale };
+    }
+
+    function read(pad, previous) {
+        const mapping = pad.mapping === "standard" ? standard : mappings[pad.id] || standard;
+        const button = name => pad.buttons[mapping.buttons[gamepadButtons.indexOf(name)]];
+        const down = [];
+        for (const name of gamepadButtons) {
+            const b = button(name);
+            if (b && (b.pressed || b.value > 0.5))
+                down.push(name);
+        }
+        const wasDown = previous ? previous.buttons.down : {};
+        const axis = i => pad.axes[mapping.axes[i]];
+        const trigger = name => {
+            const b = button(name);
+            return b ? rescale(b.value || 0, triggerDeadzone, x => x) : 0;
+        };
+        return {
+            index: pad.index,
+            id: pad.id,
+            standard: pad.mapping === "standard" || pad.id in mappings,
+            sticks: { left: stick(axis(0), axis(1)), right: stick(axis(2), axis(3)) },
+            triggers: { left: trigger("leftTrigger"), right: trigger("rightTrigger") },
+            buttons: {
+                down: flags(down),
+                pressed: flags(down.filter(name => !wasDown[name])),
+                released: flags(Object.keys(wasDown).filter(name => !down.includes(name)))
+            }
+        };
+    }
+
+    return function gamepad(_thisFrame, prevFrame) {
+        const previous = prevFrame && prevFrame.gamepad ? prevFrame.gamepad.pads : [];
+        const pads = [];
+        const connected = [];
+        const disconnected = [];
+        for (const pad of Array.from(getGamepads() || [])) {
+            if (!pad || pad.connected === false)
+                continue;
+            const before = previous[pad.index];
+            const same = before && before.id === pad.id;
+            pads[pad.index] = read(pad, same ? before : null);
+            if (!same)
+                connected.push(pad.index);
+        }
+        for (let i = 0; i < Math.max(pads.length, previous.length); i++) {
+            pads[i] = pads[i] || null;
+            if (previous[i] && (!pads[i] || pads[i].id !== previous[i].id))
+                disconnected.push(i);
+        }
+        return {
+            pads,
+            primary: pads.find(pad => pad) || null,
+            connected,
+            disconnected
+        };
+    };
+}
+
+/**
+ * A sequence of inputs to detect, like a fighting game special move or a
+ * cheat code.
+ * 
+ * Each step is a function that tests a single frame of input. The combo
+ * matches when every step matched a different frame, in order, within the
+ * last `within` frames of an {@link InputHistory}, with no more than `gap`
+ * frames between one step and the next. Frames that match no step are
+ * allowed in between, so players do not need frame perfect timing.
+ * 
+ * The last step normally has to match the newest frame, so the combo is
+ * detected on the frame it is completed. `leniency` lets it match up to that
+ * many frames earlier, so a combo completed while the game was not checking,
+ * e.g. during hit stop, is still detected. Either way a combo is only
+ * detected once per completion, and frames up to the one it was completed on
+ * are not used to match it again.
+ * 
+ * @example
+ * const forward = f => f.gamepad.primary && f.gamepad.primary.sticks.left.x > 0.5
+ * const down = f => f.gamepad.primary && f.gamepad.primary.sticks.left.y > 0.5
+ * const punch = f => f.actions.punch.pressed
+ * const fireball = new Combo([
+ *      f => down(f) && !forward(f),
+ *      f => down(f) && forward(f),
+ *      f => forward(f) && !down(f) && punch(f)
+ * ], { within: 12 })
+ * 
+ * const input = new Input([gamepad(), actions(controls)], { history: 30 })
+ * input.collect()
+ * if (fireball.match(input.history)) player.fireball()
+ * 
+ * @example <caption>Cheat code</caption>
+ * const pressed = code => f => f.keyboard.code.pressed[code]
+ * const konami = new Combo(
+ *      ["ArrowUp", "ArrowUp", "ArrowDown", "ArrowDown", "ArrowLeft",
+ *       "ArrowRight", "ArrowLeft", "ArrowRight", "KeyB", "KeyA"].map(pressed),
+ *      { within: 120, gap: 30 })
+ */
+export class Combo {
+    /**
+     * @param {Array<function(Object):boolean>} steps tests for each step, in
+     *  order
+     * @param {Object} [options]
+     * @param {number} [options.within=30] frames the whole combo has to fit in
+     * @param {number} [options.gap=within] most frames from one step to the
+     *  next
+     * @param {number} [options.leniency=0] how many frames late the combo can
+     *  be detected
+     */
+    constructor(steps, { within = 30, gap = within, leniency = 0 } = {}) {
+        if (steps.length === 0)
+            throw new Error("combos need at least one step");
+        this.steps = steps;
+        this.within = within;
+        this.gap = gap;
+        this.leniency = leniency;
+        this.consumed = null; // frame the last detected completion ended on
+    }
+
+    /**
+     * Checks whether the combo was just completed.
+     * 
+     * @param {InputHistory} history frames to check, newest first
+     * @returns {boolean} `true` if the combo was completed and has not been
+     *  detected yet
+     */
+    match(history) {
+        if (!history)
+            throw new Error("combos need an input history, see the history option of Input");
+        let frames = Math.min(history.length, this.within);
+        // frames used by the last detected completion cannot be used again
+        for (let age = 0; age < frames; age++) {
+            if (history.get(age) === this.consumed) {
+                frames = age;
+                break;
+            }
+        }
+        const memo = new Map();
+        // can steps 0..step be matched with step on the frame at age?
+        const matches = (step, age) => {
+            const key = step * frames + age;
+            if (memo.has(key))
+                return memo.get(key);
+            let result = Boolean(this.steps[step](history.get(age)));
+            if (result && step > 0) {
+                result = false;
+                for (let earlier = age + 1; earlier < frames && earlier - age <= this.gap; earlier++) {
+                    if (matches(step - 1, earlier)) {
+                        result = true;
+                        break;
+                    }
+                }
+            }
+            memo.set(key, result);
+            return result;
+        };
+        const last = this.steps.length - 1;
+        for (let age = 0; age <= this.leniency && age < frames; age++) {
+            if (matches(last, age)) {
+                this.consumed = history.get(age);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Forgets the last detected completion, so it can be detected again.
+     */
+    reset() {
+        this.consumed = null;
+    }
+}
@@ -0,0 +1,208 @@
+/** @module loop */
+
+/**
+ * Drives a loop with `requestAnimationFrame`.
+ *
+ * The default driver in the browser.
+ *
+ * @param {function} frame Function to call every animation frame
+ * @returns {function} Function that stops calling `frame`
+ */
+export function animationFrameDriver(frame) {
+    let id
+    const callback = () => {
+        id = requestAnimationFrame(callback)
+        frame()
+    }
+    id = requestAnimationFrame(callback)
+    return () => cancelAnimationFrame(id)
+}
+
+/**
+ * Returns a driver that runs a loop on a timer.
+ *
+ * The default driver outside of the browser, where `requestAnimationFrame`
+ * does not exist.
+ *
+ * @param {number} [interval=1/60] Seconds between frames
+ * @returns {Driver} Timer driver
+ */
+export function timerDriver(interval = 1 / 60) {
+    return frame => {
+        const id = setInterval(frame, interval * 1000)
+        return () => clearInterval(id)
+    }
+}
+
+/**
+ * A game loop.
+ *
+ * Ties together an input system, a coroutine schedule and an output system
+ * (any of which can be left out) and runs them once a frame in that order:
+ * `input.collect()`, `schedule.tick()`, `output.commit()`.
+ *
+ * With a fixed `step`, input and schedule are updated in fixed increments of
+ * simulated time. Real time is added to an accumulator every frame and as
+ * many steps as fit are run, up to `maxFrameSkip` a frame. Output is
+ * committed once a frame with an interpolation alpha, the fraction of a step
+ * left in the accumulator, so output modules can blend between the last two
+ * updates. Without a `step` the loop updates exactly once a frame.
+ *
+ * The loop keeps its own simulated `time` and the schedule's clock follows
+ * it, so coroutines waiting with `seconds` see time advance in whole steps.
+ *
+ * Start the loop with {@link Loop#start}, or drive it by hand with
+ * {@link Loop#advance}.
+ *
+ * @example
+ * const loop = new Loop({
+ *      input: input.init(time, keyboard(window)),
+ *      schedule: new Schedule(),
+ *      output: output.init(Renderer),
+ *      step: 1 / 60
+ * })
+ * loop.start()
+ *
+ * @example <caption>Stepping by hand in Node</caption>
+ * const loop = new Loop({ schedule, step: 1 / 30 })
+ * loop.advance(1) // runs 30 updates
+ */
+export class Loop {
+    /**
+     * @param {Object} [options]
+     * @param {Input} [options.input] Input system to collect every update
+     * @param {Schedule} [options.schedule] Schedule to tick every update
+     * @param {Output} [options.output] Output system to commit every frame
+     * @param {?number} [options.step=null] Seconds per fixed update, or `null`
+     *  to update once a frame
+     * @param {number} [options.maxFrameSkip=5] Most fixed updates to run in one
+     *  frame, any time beyond that is dropped
+     * @param {Driver} [options.driver] What calls the loop every frame,
+     *  defaults to {@link animationFrameDriver} where `requestAnimationFrame`
+     *  exists and a {@link timerDriver} elsewhere
+     * @param {ClockCallback} [options.now] Real time in seconds, defaults to
+     *  `performance.now() / 1000`
+     */
+    constructor({ input = null, schedule = null, output = null, step = null, maxFrameSkip = 5, driver, now = () => performance.now() / 1000 } = {}) {
+        this.input = input
+        this.schedule = schedule
+        this.output = output
+        this.step = step
+        this.maxFrameSkip = maxFrameSkip
+        this.driver = driver || (typeof requestAnimationFrame === "function" ? animationFrameDriver : timerDriver(step || 1 / 60))
+        this.now = now
+        /** Simulated seconds the loop has run for. */
+        this.time = 0
+        /** Updates run so far. */
+        this.updates = 0
+        /** Frames run so far. */
+        this.frames = 0
+        /** Seconds of real time not yet simulated. */
+        this.accumulator = 0
+        /** Fraction of a fixed step left in the accumulator after the last frame. */
+        this.alpha = 1
+        /** Fixed updates dropped because of `maxFrameSkip`. */
+        this.dropped = 0
+        this.last = null
+        this.stopDriver = null
+        this.frame = this.frame.bind(this)
+        if(schedule)
+            schedule.clock.setSource(() => this.time)
+    }
+
+    /**
+     * `true` while the driver is calling the loop.
+     *
+     * @type {boolean}
+     */
+    get running() {
+        return this.stopDriver !== null
+    }
+
+    /**
+     * Starts calling the loop every frame with the driver.
+     */
+    start() {
+        if(this.running)
+            return
+        this.last = null
+        this.stopDriver = this.driver(this.frame)
+    }
+
+    /**
+     * Stops the driver.
+     */
+    stop() {
+        if(!this.running)
+            return
+        this.stopDriver()
+        this.stopDriver = null
+    }
+
+    /**
+     * Runs one frame, advancing by the real time since the last one.
+     *
+     * Called by the driver. The first frame after starting advances by zero.
+     */
+    frame() {
+        const now = this.now()
+        const delta = this.last === null ? 0 : now - this.last
+        this.last = now
+        this.advance(delta)
+    }
+
+    /**
+     * Runs one frame, advancing by `delta` seconds.
+     *
+     * @param {number} delta Seconds of real time to advance by
+     */
+    advance(delta) {
+        if(this.step === null) {
+            this.time += delta
+            this.update()
+            this.alpha = 1
+        } else {
+            // tolerate rounding error so that e.g. 1 second is 60 steps of 1/60
+            const step = this.step * (1 - 1e-9)
+            this.accumulator += delta
+            let steps = 0
+            while(this.accumulator >= step && steps < this.maxFrameSkip) {
+                this.accumulator -= this.step
+                this.time += this.step
+                this.update()
+                steps++
+            }
+            if(this.accumulator >= step) {
+                const dropped = Math.floor(this.accumulator / step)
+                this.dropped += dropped
+                this.accumulator -= dropped * this.step
+            }
+            this.accumulator = Math.max(0, this.accumulator)
+            this.alpha = this.accumulator / this.step
+        }
+        if(this.output)
+            this.output.commit(this.alpha)
+        this.frames++
+    }
+
+    /**
+     * Runs a single update, collecting input and ticking the schedule.
+     *
+     * @ignore
+     */
+    update() {
+        if(this.input)
+            this.input.collect()
+        if(this.schedule)
+            this.schedule.tick()
+        this.updates++
+    }
+}
+
+/**
+ * Calls a loop's frame function repeatedly until stopped.
+ *
+ * @callback Driver
+ * @param {function} frame Function to call every frame
+ * @returns {function} Function that stops calling `frame`
+ */
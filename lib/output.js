@@ -26,6 +26,7 @@ export class Output {
     
     constructor(modules=[]) {
         this.modules = []
+        this.alpha = 1
         for (let module of modules) {
             if (typeof module == "function")
                 module = new module()
@@ -47,8 +48,15 @@ export class Output {
 
     /**
      * Commit all output modules, writing to the world
+     * 
+     * Modules are passed the output system, and can read `alpha` from it to
+     * interpolate between the last two fixed updates.
+     * 
+     * @param {number} [alpha=1] How far the current frame is between the last
+     * fixed update and the next, from 0 to 1
      */
-    commit() {
+    commit(alpha = 1) {
+        this.alpha = alpha
         for (const module of this.modules) {
             module.commit(this)
         }
@@ -0,0 +1,164 @@
+/** @module signals */
+
+import { waitReason } from "./coroutines.js"
+
+/**
+ * An event that coroutines can wait for.
+ *
+ * Game code {@link Signal#emit}s a signal when something happens, e.g. an
+ * enemy dies or a door opens, and coroutines waiting on it with
+ * {@link Signal#wait} resume with the emitted payload on their next tick,
+ * without polling. Plain functions can listen too with
+ * {@link Signal#connect}.
+ *
+ * Waits are ordinary coroutines, so they combine with the other combinators:
+ * race one against {@link seconds} with {@link first}, or wait for one of
+ * several signals with {@link any}.
+ *
+ * @example
+ * const enemyDied = new Signal("enemyDied")
+ *
+ * schedule.add(function* () {
+ *      const enemy = yield* enemyDied.wait(e => e.boss)
+ *      console.log(`${enemy.name} defeated`)
+ * })
+ *
+ * enemyDied.emit({ name: "Dragon", boss: true })
+ *
+ * @example <caption>Waiting with a time limit</caption>
+ * yield* first(doorOpened.wait(), seconds(5))
+ */
+export class Signal {
+    /**
+     * @param {?string} [name=null] Name shown when inspecting coroutines that
+     *  wait on the signal
+     */
+    constructor(name = null) {
+        /** @type {?string} */
+        this.name = name
+        this.listeners = []
+    }
+
+    /**
+     * Calls `listener` with the payload of every emission.
+     *
+     * @param {function(any)} listener Function to call
+     * @returns {function} Function that disconnects `listener`
+     */
+    connect(listener) {
+        this.listeners.push(listener)
+        return () => this.disconnect(listener)
+    }
+
+    /**
+     * Stops calling `listener`.
+     *
+     * @param {function(any)} listener Function passed to
+     *  {@link Signal#connect}
+     */
+    disconnect(listener) {
+        const i = this.listeners.indexOf(listener)
+        if(i !== -1)
+            this.listeners.splice(i, 1)
+    }
+
+    /**
+     * Emits the signal.
+     *
+     * Listeners are called in the order they connected. Listeners connected
+     * or disconnected while the signal is being emitted take effect from the
+     * next emission.
+     *
+     * @param {any} [payload] Value passed to listeners and returned to waiting
+     *  coroutines
+     */
+    emit(payload) {
+        if(this.listeners.length === 0)
+            return
+        for (const listener of this.listeners.slice())
+            listener(payload)
+    }
+
+    /**
+     * Waits until the signal is emitted.
+     *
+     * Only emissions after the wait starts count. If the signal is emitted
+     * more than once before the coroutine resumes, it gets the first matching
+     * payload.
+     *
+     * @param {function(any):boolean} [filter] Only resume for payloads this
+     *  returns `true` for
+     * @returns {Generator} Returns the payload when `yield*`ed
+     *
+     * @example
+     * const key = yield* keyPressed.wait(k => k === "Space")
+     */
+    *wait(filter) {
+        let fired = false
+        let value
+        const listener = payload => {
+            if(fired || (filter && !filter(payload)))
+                return
+            fired = true
+            value = payload
+            this.disconnect(listener)
+        }
+        this.connect(listener)
+        const reason = () => `signal ${this}`
+        try {
+            while(!fired) {
+                waitReason(reason)
+                yield
+            }
+            return value
+        } finally {
+            if(!fired)
+                this.disconnect(listener)
+        }
+    }
+
+    toString() {
+        return this.name || "anonymous signal"
+    }
+}
+
+/**
+ * Waits until any of several signals is emitted.
+ *
+ * Each argument is either a signal or a `[signal, filter]` pair, where
+ * `filter` is a predicate on the payload as in {@link Signal#wait}. Stops
+ * listening to every signal once one fires.
+ *
+ * @param {...(Signal|Array)} signals Signals to wait on
+ * @returns {Generator} Returns `{ index, signal, value }` when `yield*`ed,
+ *  where `index` is the index of the signal that fired and `value` its
+ *  payload
+ *
+ * @example
+ * const { signal, value } = yield* any(playerDied, [itemPicked, item => item.key])
+ * if(signal === playerDied)
+ *      yield* gameOver()
+ */
+export function* any(...signals) {
+    let fired = null
+    const connections = signals.map((s, index) => {
+        const [signal, filter] = Array.isArray(s) ? s : [s, null]
+        const listener = value => {
+            if(fired === null && (!filter || filter(value)))
+                fired = { index, signal, value }
+        }
+        signal.connect(listener)
+        return [signal, listener]
+    })
+    const reason = () => `any of ${signals.length} signals`
+    try {
+        while(fired === null) {
+            waitReason(reason)
+            yield
+        }
+        return fired
+    } finally {
+        for (const [signal, listener] of connections)
+            signal.disconnect(listener)
+    }
+}
@@ -0,0 +1,319 @@
+/** @module testing */
+
+import { Schedule, Task } from "./coroutines.js"
+import { Loop } from "./loop.js"
+
+/**
+ * A clock that only moves when told to.
+ *
+ * Usable anywhere a {@link Clock} source is, and its `now` method anywhere a
+ * clock function is.
+ *
+ * @example
+ * const clock = new VirtualClock()
+ * const schedule = new Schedule({ clock: new Clock(clock) })
+ * clock.advance(0.5)
+ */
+export class VirtualClock {
+    /**
+     * @param {number} [time=0] Starting time in seconds
+     */
+    constructor(time = 0) {
+        /** Current time in seconds. @type {number} */
+        this.time = time
+        this.now = this.now.bind(this)
+    }
+
+    /**
+     * @returns {number} Current time in seconds
+     */
+    now() {
+        return this.time
+    }
+
+    /**
+     * Moves time forward.
+     *
+     * @param {number} s Seconds to advance by
+     * @returns {number} The new time
+     */
+    advance(s) {
+        this.time += s
+        return this.time
+    }
+}
+
+/**
+ * Describes what a task is waiting on, based on its trace if its schedule is
+ * inspecting and on what it last yielded otherwise.
+ *
+ * @ignore
+ * @param {Task} task
+ * @returns {string}
+ */
+function waitingOn(task) {
+    const wait = task.trace ? innermostWait(task.trace) : null
+    if(wait)
+        return wait
+    const value = task.yielded
+    if(value === undefined || value === null)
+        return "next frame"
+    if(!task.waiting)
+        return `next frame (yielded ${String(value)})`
+    if(typeof value === "number")
+        return `${value} seconds`
+    if(Array.isArray(value))
+        return `all of ${value.length}`
+    if(typeof value.then === "function")
+        return "promise"
+    if(typeof value.next === "function")
+        return "coroutine"
+    return String(value)
+}
+
+/**
+ * Finds the wait reported deepest in a trace, by the coroutine that ran last.
+ *
+ * @ignore
+ * @param {TraceNode} node
+ * @returns {?string}
+ */
+function innermostWait(node) {
+    for (let i = node.children.length - 1; i >= 0; i--) {
+        const wait = innermostWait(node.children[i])
+        if(wait)
+            return wait
+    }
+    return node.wait
+}
+
+/**
+ * @ignore
+ * @param {Schedule|PhasedSchedule} schedule
+ * @returns {Schedule[]} The schedule, or the schedules of its phases
+ */
+function schedulesOf(schedule) {
+    return schedule.schedules ? Array.from(schedule.schedules.values()) : [schedule]
+}
+
+/**
+ * Runs an input system, schedule and output system deterministically.
+ *
+ * The harness owns a {@link VirtualClock} that stands in for real time: it
+ * drives a fixed step {@link Loop}, which drives the schedule's clock, and
+ * is the clock read by {@link module:input.time} in the harness's input
+ * system until {@link Harness#dispose} is called. Time only passes when the
+ * harness is stepped, one fixed frame at a time. Other schedules and input
+ * systems keep running on their own clocks.
+ *
+ * @example
+ * test("door opens after two seconds", () => {
+ *      const harness = new Harness()
+ *      const door = { open: false }
+ *      harness.schedule.add(function* openDoor() {
+ *          yield* seconds(2)
+ *          door.open = true
+ *      })
+ *      harness.step({ seconds: 1 })
+ *      harness.assertAlive("openDoor")
+ *      harness.step({ seconds: 1 })
+ *      harness.assertDone("openDoor")
+ *      expect(door.open).toBe(true)
+ *      harness.dispose()
+ * })
+ */
+export class Harness {
+    /**
+     * @param {Object} [options]
+     * @param {Input} [options.input] Input system to collect every frame
+     * @param {Schedule|PhasedSchedule} [options.schedule] Schedule to tick
+     *  every frame, defaults to a new {@link Schedule}. It is made to inspect
+     *  its tasks, so the harness can tell where they are waiting, until
+     *  {@link Harness#dispose} is called
+     * @param {Output} [options.output] Output system to commit every frame
+     * @param {number} [options.fps=60] Frames per simulated second
+     */
+    constructor({ input = null, schedule = new Schedule(), output = null, fps = 60 } = {}) {
+        this.clock = new VirtualClock()
+        this.input = input
+        this.schedule = schedule
+        this.output = output
+        this.fps = fps
+        this.loop = new Loop({ input, schedule, output, step: 1 / fps, maxFrameSkip: Infinity, now: this.clock.now })
+        this.previousInputClock = input ? input.clock : null
+        this.seen = new Set()
+        if(input)
+            input.clock = this.clock.now
+        this.inspected = schedulesOf(schedule).filter(s => !s.inspecting)
+        for (const s of this.inspected)
+            s.inspecting = true
+    }
+
+    /**
+     * Frames stepped so far.
+     *
+     * @type {number}
+     */
+    get frame() {
+        return this.loop.updates
+    }
+
+    /**
+     * Simulated seconds stepped so far.
+     *
+     * @type {number}
+     */
+    get time() {
+        return this.clock.time
+    }
+
+    /**
+     * Advances input, schedule and output together.
+     *
+     * @param {number|Object} [amount=1] Number of frames, or an object with
+     *  either `frames` or `seconds`. Seconds are rounded up to whole frames.
+     * @returns {number} The number of frames stepped
+     *
+     * @example
+     * harness.step()                  // one frame
+     * harness.step(10)                // ten frames
+     * harness.step({ seconds: 1.5 })  // 90 frames at 60fps
+     */
+    step(amount = 1) {
+        let frames = amount
+        if(typeof amount === "object")
+            frames = amount.frames !== undefined
+                ? amount.frames
+                : Math.ceil(amount.seconds * this.fps - 1e-9)
+        const delta = 1 / this.fps
+        this.observe()
+        for (let i = 0; i < frames; i++) {
+            this.clock.advance(delta)
+            this.loop.advance(delta)
+            // tasks added during a tick first run on the next, so none are missed
+            this.observe()
+        }
+        return frames
+    }
+
+    /**
+     * Remembers the names of the live tasks.
+     *
+     * @ignore
+     */
+    observe() {
+        for (const task of this.schedule)
+            if(task.name)
+                this.seen.add(task.name)
+    }
+
+    /**
+     * Steps one frame at a time until `predicate` returns `true`.
+     *
+     * @param {function():boolean} predicate Condition to step until
+     * @param {number} [maxFrames=10000] Frames to step before giving up
+     * @returns {number} The number of frames stepped
+     * @throws {Error} If `predicate` is still false after `maxFrames`
+     */
+    stepUntil(predicate, maxFrames = 10000) {
+        let frames = 0
+        while(!predicate()) {
+            if(frames >= maxFrames)
+                throw new Error(`Condition still false after ${maxFrames} frames\n${this.report()}`)
+            this.step()
+            frames++
+        }
+        return frames
+    }
+
+    /**
+     * Returns the tasks alive on the schedule, in the order they run.
+     *
+     * @returns {Task[]} Live tasks
+     */
+    tasks() {
+        return Array.from(this.schedule)
+    }
+
+    /**
+     * Finds a live task.
+     *
+     * @param {string|Task} task Name of the task, or the task itself
+     * @returns {?Task} The task, or `null` if it is not alive
+     */
+    find(task) {
+        for (const t of this.schedule)
+            if(t === task || (typeof task === "string" && t.name === task))
+                return t
+        return null
+    }
+
+    /**
+     * @param {string|Task} task Name of the task, or the task itself
+     * @returns {boolean} `true` if the task is alive
+     */
+    isAlive(task) {
+        return this.find(task) !== null
+    }
+
+    /**
+     * Describes every live task and what it is waiting on.
+     *
+     * @returns {Object[]} `{ name, waitingOn }` for every live task
+     */
+    inspect() {
+        return this.tasks().map(task => ({ name: String(task), waitingOn: waitingOn(task) }))
+    }
+
+    /**
+     * @ignore
+     */
+    report() {
+        const lines = this.inspect().map(({ name, waitingOn }) => `  ${name}: waiting on ${waitingOn}`)
+        return `Frame ${this.frame}, ${lines.length} live tasks` + (lines.length ? `:\n${lines.join("\n")}` : "")
+    }
+
+    /**
+     * Throws unless every given task is alive.
+     *
+     * @param {...(string|Task)} tasks Names of tasks, or tasks
+     * @throws {Error} Describing the live tasks if one is not alive
+     */
+    assertAlive(...tasks) {
+        for (const task of tasks)
+            if(!this.isAlive(task))
+                throw new Error(`Expected ${task} to be alive\n${this.report()}`)
+    }
+
+    /**
+     * Throws unless every given task is done.
+     *
+     * Named tasks count as done when a task with their name has been seen
+     * alive and no live task has their name any more, so a misspelled name
+     * fails rather than passing.
+     *
+     * @param {...(string|Task)} tasks Names of tasks, or tasks
+     * @throws {Error} Describing the live tasks if one is alive or was never
+     *  seen
+     */
+    assertDone(...tasks) {
+        this.observe()
+        for (const task of tasks) {
+            if(typeof task === "string" && !this.seen.has(task))
+                throw new Error(`Expected ${task} to be done, but no task named ${task} was ever seen\n${this.report()}`)
+            if(task instanceof Task ? !task.isDone : this.isAlive(task))
+                throw new Error(`Expected ${task} to be done\n${this.report()}`)
+        }
+    }
+
+    /**
+     * Gives the input system back the clock it had before the harness, and
+     * stops the schedule inspecting if it was not before.
+     */
+    dispose() {
+        if(this.input)
+            this.input.clock = this.previousInputClock
+        for (const s of this.inspected)
+            s.inspecting = false
+    }
+}
@@ -0,0 +1,252 @@
+/** @module timeline */
+
+import { currentClock } from "./coroutines.js"
+import { easing, mix } from "./tween.js"
+
+/**
+ * Samples a track's keyframes at `time`.
+ *
+ * Holds the first value before the first keyframe and the last value after
+ * the last one.
+ *
+ * @ignore
+ * @param {Object[]} keys Keyframes sorted by time
+ * @param {number} time
+ * @returns {any}
+ */
+function sample(keys, time) {
+    if(time <= keys[0].time)
+        return keys[0].value
+    for (let i = 1; i < keys.length; i++) {
+        const key = keys[i]
+        if(time < key.time) {
+            const previous = keys[i - 1]
+            const t = (time - previous.time) / (key.time - previous.time)
+            return mix(previous.value, key.value, key.ease(t))
+        }
+    }
+    return keys[keys.length - 1].value
+}
+
+/**
+ * `true` if the span from `start` to `end` overlaps the range from `a` to `b`.
+ *
+ * @ignore
+ */
+function overlaps(start, end, a, b) {
+    return Math.max(a, b) >= start && Math.min(a, b) <= end
+}
+
+/**
+ * A seekable sequence of keyframes and callbacks.
+ *
+ * Where a coroutine can only move forward, a timeline places everything at
+ * absolute times so its playhead can be moved anywhere with
+ * {@link Timeline#seek}: forwards, backwards, or straight to the middle to
+ * preview a point of a cutscene. {@link Timeline#play} moves the playhead
+ * over time as a coroutine, forwards or in reverse, once or looping.
+ *
+ * A timeline holds three kinds of things:
+ *
+ * - tracks animate a property of an object through keyframes, interpolated
+ *   with {@link mix} so numbers, colors, arrays and objects all work
+ * - callbacks are called when the playhead crosses their time, in either
+ *   direction
+ * - sub-timelines are played as part of this one, starting at a given time
+ *
+ * @example
+ * const intro = new Timeline()
+ *      .track(camera.position, "x", [{ time: 0, value: -10 }, { time: 3, value: 0, ease: easing.easeOutCubic }])
+ *      .track(title, "color", [{ time: 2, value: "#000000" }, { time: 4, value: "#ffffff" }])
+ *      .call(3, () => sound.play("boom"))
+ *      .add(4, logoTimeline)
+ *
+ * schedule.add(intro.play())           // play it
+ * intro.seek(2.5)                      // or scrub it in an editor
+ * schedule.add(intro.play({ rate: -1 })) // or rewind it
+ */
+export class Timeline {
+    constructor() {
+        /** Position of the playhead in seconds. @type {number} */
+        this.time = 0
+        this.tracks = []
+        this.callbacks = []
+        this.children = []
+    }
+
+    /**
+     * Length of the timeline in seconds, up to its last keyframe, callback or
+     * sub-timeline.
+     *
+     * @type {number}
+     */
+    get duration() {
+        let duration = 0
+        for (const { keys } of this.tracks)
+            duration = Math.max(duration, keys[keys.length - 1].time)
+        for (const { time } of this.callbacks)
+            duration = Math.max(duration, time)
+        for (const { time, timeline } of this.children)
+            duration = Math.max(duration, time + timeline.duration)
+        return duration
+    }
+
+    /**
+     * Animates `target[key]` through keyframes.
+     *
+     * Each keyframe's `ease` shapes the interpolation from the previous
+     * keyframe to it. Before its first keyframe the property holds the first
+     * value and after its last keyframe the last value, but a track only
+     * touches its property while the playhead moves over or into its span.
+     *
+     * @param {Object} target Object to animate
+     * @param {string} key Property to animate
+     * @param {Object[]} keyframes `{ time, value, ease }` keyframes, where
+     *  `ease` defaults to `easing.linear`
+     * @returns {Timeline} This timeline
+     */
+    track(target, key, keyframes) {
+        if(keyframes.length === 0)
+            throw new Error(`Track for ${key} needs at least one keyframe`)
+        const keys = keyframes
+            .map(({ time, value, ease = easing.linear }) => ({ time, value, ease }))
+            .sort((a, b) => a.time - b.time)
+        this.tracks.push({ target, key, keys })
+        return this
+    }
+
+    /**
+     * Calls `callback` whenever the playhead crosses `time`.
+     *
+     * It is called when the playhead reaches `time` moving in either
+     * direction, but not when it moves away from `time`. The exceptions are
+     * callbacks at the start or end, which are also called when the playhead
+     * leaves the start forward or the end backward, so every pass calls them.
+     * Seeking past `time` counts as crossing it.
+     *
+     * @param {number} time Time in seconds
+     * @param {function(number)} callback Called with the direction the
+     *  playhead crossed in, `1` forward or `-1` backward
+     * @returns {Timeline} This timeline
+     */
+    call(time, callback) {
+        this.callbacks.push({ time, callback })
+        this.callbacks.sort((a, b) => a.time - b.time)
+        return this
+    }
+
+    /**
+     * Nests a sub-timeline starting at `time`.
+     *
+     * The sub-timeline's playhead follows this one's, offset by `time`.
+     *
+     * @param {number} time Time in seconds the sub-timeline starts at
+     * @param {Timeline} timeline Sub-timeline
+     * @returns {Timeline} This timeline
+     */
+    add(time, timeline) {
+        this.children.push({ time, timeline })
+        return this
+    }
+
+    /**
+     * Moves the playhead to `time`.
+     *
+     * Tracks and sub-timelines affected by the move are updated to their
+     * values at `time`, then callbacks between the old and new position are
+     * called in the order the playhead crosses them.
+     *
+     * @param {number} time Time in seconds, clamped to the timeline's duration
+     * @param {Object} [options]
+     * @param {boolean} [options.silent=false] Jump without calling callbacks
+     */
+    seek(time, { silent = false } = {}) {
+        const duration = this.duration
+        const from = this.time
+        const to = Math.min(Math.max(time, 0), duration)
+        this.time = to
+        for (const { target, key, keys } of this.tracks)
+            if(overlaps(keys[0].time, keys[keys.length - 1].time, from, to))
+                target[key] = sample(keys, to)
+        for (const { time: start, timeline } of this.children)
+            if(overlaps(start, start + timeline.duration, from, to))
+                timeline.seek(to - start, { silent })
+        if(silent || from === to)
+            return
+        if(to > from) {
+            for (const { time, callback } of this.callbacks)
+                if((time > from && time <= to) || (time === from && from === 0))
+                    callback(1)
+        } else {
+            for (let i = this.callbacks.length - 1; i >= 0; i--) {
+                const { time, callback } = this.callbacks[i]
+                if((time >= to && time < from) || (time === from && from === duration))
+                    callback(-1)
+            }
+        }
+    }
+
+    /**
+     * Plays the timeline from its playhead.
+     *
+     * Playing forward from the end, or backward from the start, first jumps
+     * to the other end. With `yoyo` every other pass plays in the opposite
+     * direction, otherwise every pass starts over from the same end.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.rate=1] Playback speed, negative to play in
+     *  reverse
+     * @param {number|boolean} [options.loop=0] How many times to repeat after
+     *  the first pass, `true` to repeat forever
+     * @param {boolean} [options.yoyo=false] Play every other pass in the
+     *  opposite direction
+     * @param {Clock|ClockCallback} [options.clock] Clock to measure time with,
+     *  defaults to the {@link currentClock} when playing starts
+     * @returns {Generator} Coroutine that plays the timeline, `undefined` when
+     *  `yield*`ed
+     *
+     * @example
+     * yield* cutscene.play()
+     * schedule.add(idle.play({ loop: true, yoyo: true }))
+     */
+    *play({ rate = 1, loop = 0, yoyo = false, clock } = {}) {
+        if(clock === undefined)
+            clock = currentClock()
+        const now = typeof clock === "function" ? clock : () => clock.time
+        const passes = loop === true ? Infinity : loop + 1
+        const duration = this.duration
+        let direction = rate < 0 ? -1 : 1
+        if(direction > 0 && this.time >= duration)
+            this.seek(0, { silent: true })
+        else if(direction < 0 && this.time <= 0)
+            this.seek(duration, { silent: true })
+        else
+            this.seek(this.time)
+        if(duration === 0)
+            return
+        let pass = 0
+        let last = now()
+        while(true) {
+            yield
+            const time = now()
+            let delta = (time - last) * Math.abs(rate)
+            last = time
+            while(delta > 0) {
+                const end = direction > 0 ? duration : 0
+                const remaining = Math.abs(end - this.time)
+                if(delta < remaining) {
+                    this.seek(this.time + delta * direction)
+                    break
+                }
+                delta -= remaining
+                this.seek(end)
+                if(++pass >= passes)
+                    return
+                if(yoyo)
+                    direction = -direction
+                else
+                    this.seek(duration - end, { silent: true })
+            }
+        }
+    }
+}
@@ -0,0 +1,274 @@
+/** @module tween */
+
+import { currentClock } from "./coroutines.js"
+
+const { PI, sin, cos, sqrt, pow } = Math
+
+function powIn(n) {
+    return t => pow(t, n)
+}
+
+function powOut(n) {
+    return t => 1 - pow(1 - t, n)
+}
+
+function powInOut(n) {
+    return t => t < 0.5 ? pow(2, n - 1) * pow(t, n) : 1 - pow(-2 * t + 2, n) / 2
+}
+
+function bounceOut(t) {
+    const n1 = 7.5625
+    const d1 = 2.75
+    if (t < 1 / d1)
+        return n1 * t * t
+    if (t < 2 / d1)
+        return n1 * (t -= 1.5 / d1) * t + 0.75
+    if (t < 2.5 / d1)
+        return n1 * (t -= 2.25 / d1) * t + 0.9375
+    return n1 * (t -= 2.625 / d1) * t + 0.984375
+}
+
+const c1 = 1.70158
+const c2 = c1 * 1.525
+const c3 = c1 + 1
+const c4 = (2 * PI) / 3
+const c5 = (2 * PI) / 4.5
+
+/**
+ * Standard easing functions.
+ *
+ * Each takes progress from `0` to `1` and returns eased progress, `0` at the
+ * start and `1` at the end. Any function with that shape can be used as an
+ * easing function.
+ *
+ * Includes `linear` and `easeIn`, `easeOut` and `easeInOut` variants of
+ * `Sine`, `Quad`, `Cubic`, `Quart`, `Quint`, `Expo`, `Circ`, `Back`,
+ * `Elastic` and `Bounce`.
+ *
+ * @see {@link https://easings.net/|Easing Functions Cheat Sheet}
+ *
+ * @example
+ * yield* tween(sprite, { x: 100 }, 1, { ease: easing.easeOutBounce })
+ */
+export const easing = {
+    linear: t => t,
+    easeInSine: t => 1 - cos((t * PI) / 2),
+    easeOutSine: t => sin((t * PI) / 2),
+    easeInOutSine: t => -(cos(PI * t) - 1) / 2,
+    easeInQuad: powIn(2),
+    easeOutQuad: powOut(2),
+    easeInOutQuad: powInOut(2),
+    easeInCubic: powIn(3),
+    easeOutCubic: powOut(3),
+    easeInOutCubic: powInOut(3),
+    easeInQuart: powIn(4),
+    easeOutQuart: powOut(4),
+    easeInOutQuart: powInOut(4),
+    easeInQuint: powIn(5),
+    easeOutQuint: powOut(5),
+    easeInOutQuint: powInOut(5),
+    easeInExpo: t => t === 0 ? 0 : pow(2, 10 * t - 10),
+    easeOutExpo: t => t === 1 ? 1 : 1 - pow(2, -10 * t),
+    easeInOutExpo: t => t === 0 ? 0 : t === 1 ? 1 : t < 0.5
+        ? pow(2, 20 * t - 10) / 2
+        : (2 - pow(2, -20 * t + 10)) / 2,
+    easeInCirc: t => 1 - sqrt(1 - pow(t, 2)),
+    easeOutCirc: t => sqrt(1 - pow(t - 1, 2)),
+    easeInOutCirc: t => t < 0.5
+        ? (1 - sqrt(1 - pow(2 * t, 2))) / 2
+        : (sqrt(1 - pow(-2 * t + 2, 2)) + 1) / 2,
+    easeInBack: t => c3 * t * t * t - c1 * t * t,
+    easeOutBack: t => 1 + c3 * pow(t - 1, 3) + c1 * pow(t - 1, 2),
+    easeInOutBack: t => t < 0.5
+        ? (pow(2 * t, 2) * ((c2 + 1) * 2 * t - c2)) / 2
+        : (pow(2 * t - 2, 2) * ((c2 + 1) * (t * 2 - 2) + c2) + 2) / 2,
+    easeInElastic: t => t === 0 ? 0 : t === 1 ? 1 : -pow(2, 10 * t - 10) * sin((t * 10 - 10.75) * c4),
+    easeOutElastic: t => t === 0 ? 0 : t === 1 ? 1 : pow(2, -10 * t) * sin((t * 10 - 0.75) * c4) + 1,
+    easeInOutElastic: t => t === 0 ? 0 : t === 1 ? 1 : t < 0.5
+        ? -(pow(2, 20 * t - 10) * sin((20 * t - 11.125) * c5)) / 2
+        : (pow(2, -20 * t + 10) * sin((20 * t - 11.125) * c5)) / 2 + 1,
+    easeInBounce: t => 1 - bounceOut(1 - t),
+    easeOutBounce: bounceOut,
+    easeInOutBounce: t => t < 0.5
+        ? (1 - bounceOut(1 - 2 * t)) / 2
+        : (1 + bounceOut(2 * t - 1)) / 2
+}
+
+/**
+ * Linearly interpolate between two numbers.
+ *
+ * @param {number} a Value at `t = 0`
+ * @param {number} b Value at `t = 1`
+ * @param {number} t Progress
+ * @returns {number} Interpolated value
+ */
+export function lerp(a, b, t) {
+    return a + (b - a) * t
+}
+
+const hexColor = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i
+
+/**
+ * @ignore
+ * @param {string} s `#rgb` or `#rrggbb` color
+ * @returns {number[]} red, green and blue from 0 to 255
+ */
+function parseColor(s) {
+    let hex = s.slice(1)
+    if (hex.length === 3)
+        hex = hex.replace(/./g, c => c + c)
+    const n = parseInt(hex, 16)
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255]
+}
+
+/**
+ * @ignore
+ * @param {number[]} rgb red, green and blue from 0 to 255
+ * @returns {string} `#rrggbb` color
+ */
+function formatColor(rgb) {
+    return "#" + rgb.map(c => Math.round(c).toString(16).padStart(2, "0")).join("")
+}
+
+/**
+ * @ignore
+ */
+function isColor(value) {
+    return typeof value === "string" && hexColor.test(value)
+}
+
+/**
+ * Interpolate between two values of the same shape.
+ *
+ * Numbers are interpolated linearly. `#rgb` and `#rrggbb` color strings are
+ * interpolated per channel and returned as `#rrggbb`. Arrays and objects are
+ * interpolated property by property, recursively. Any other value snaps from
+ * `a` to `b` at `t = 1`.
+ *
+ * @param {any} a Value at `t = 0`
+ * @param {any} b Value at `t = 1`
+ * @param {number} t Progress
+ * @returns {any} A new interpolated value
+ *
+ * @example
+ * mix(0, 10, 0.5) // => 5
+ * mix("#000000", "#ffffff", 0.5) // => "#808080"
+ * mix({ position: [0, 0] }, { position: [2, 4] }, 0.5) // => { position: [1, 2] }
+ */
+export function mix(a, b, t) {
+    if (typeof b === "number")
+        return lerp(a, b, t)
+    if (isColor(b)) {
+        const from = parseColor(a)
+        const to = parseColor(b)
+        return formatColor(to.map((c, i) => lerp(from[i], c, t)))
+    }
+    if (b && typeof b === "object") {
+        const result = Array.isArray(b) ? [] : {}
+        for (const key of Object.keys(b))
+            result[key] = mix(a[key], b[key], t)
+        return result
+    }
+    return t < 1 ? a : b
+}
+
+/**
+ * Collects every animated property of `target` into a flat list.
+ *
+ * @ignore
+ * @param {Object} target Object being animated
+ * @param {Object} to End values, possibly nested
+ * @param {Object} [from] Start values, defaults to the current values
+ * @param {Object[]} [props] List to collect into
+ * @returns {Object[]} `{ object, key, start, end }` for every animated leaf
+ */
+function collect(target, to, from, props = []) {
+    for (const key of Object.keys(to)) {
+        const end = to[key]
+        const start = from && key in from ? from[key] : target[key]
+        if (end && typeof end === "object")
+            collect(target[key], end, start, props)
+        else if (isColor(end))
+            props.push({ object: target, key, start: parseColor(start), end: parseColor(end), color: true })
+        else if (typeof end === "number")
+            props.push({ object: target, key, start, end, color: false })
+        else
+            throw new Error(`Cannot tween ${key} to ${end}, only numbers, colors, arrays and objects are supported`)
+    }
+    return props
+}
+
+/**
+ * @ignore
+ */
+function apply(props, t) {
+    for (const p of props) {
+        if (p.color)
+            p.object[p.key] = formatColor(p.end.map((c, i) => lerp(p.start[i], c, t)))
+        else
+            p.object[p.key] = lerp(p.start, p.end, t)
+    }
+}
+
+/**
+ * Animate the properties of an object over time.
+ *
+ * Every property of `to` is animated on `target` from its value when the
+ * tween starts (or its value in `from`) to its value in `to`. Properties can
+ * be numbers, `#rgb`/`#rrggbb` color strings, or nested arrays and objects of
+ * those such as vectors and colors, which are animated property by property.
+ *
+ * Time is measured with the clock of the schedule the tween runs on, so
+ * tweens respect {@link Clock} scaling and pausing.
+ *
+ * @param {Object} target Object to animate
+ * @param {Object} to End values
+ * @param {number} duration Length of one pass in seconds
+ * @param {Object} [options]
+ * @param {function(number):number} [options.ease=easing.linear] Easing
+ *  function, see {@link easing}
+ * @param {number} [options.delay=0] Seconds to wait before starting
+ * @param {Object} [options.from] Start values, default to the target's values
+ *  when the tween starts
+ * @param {number|boolean} [options.loop=0] How many times to repeat after the
+ *  first pass, `true` to repeat forever
+ * @param {boolean} [options.yoyo=false] Play every other pass backwards
+ * @param {Clock|ClockCallback} [options.clock] Clock to measure time with,
+ *  defaults to the {@link currentClock} when the tween starts
+ * @returns {Generator} `undefined` when `yield*`ed
+ *
+ * @example <caption>Move and fade</caption>
+ * schedule.add(function* () {
+ *      yield* all(
+ *          tween(sprite.position, { x: 10, y: 4 }, 0.5, { ease: easing.easeOutQuad }),
+ *          tween(sprite.material, { color: "#ff0000", opacity: 0 }, 0.5)
+ *      )
+ *      sprite.remove()
+ * })
+ *
+ * @example <caption>Pulse forever</caption>
+ * schedule.add(tween(light, { intensity: 2 }, 0.25, { yoyo: true, loop: true }))
+ */
+export function* tween(target, to, duration, { ease = easing.linear, delay = 0, from, loop = 0, yoyo = false, clock } = {}) {
+    if (clock === undefined)
+        clock = currentClock()
+    const now = typeof clock === "function" ? clock : () => clock.time
+    const passes = loop === true ? Infinity : loop + 1
+    const startTime = now()
+    while (now() - startTime < delay)
+        yield
+    const props = collect(target, to, from)
+    const begin = startTime + delay
+    const end = duration * passes
+    let elapsed = now() - begin
+    while (elapsed < end) {
+        const pass = Math.floor(elapsed / duration)
+        let t = (elapsed - pass * duration) / duration
+        if (yoyo && pass % 2 === 1)
+            t = 1 - t
+        apply(props, ease(t))
+        yield
+        elapsed = now() - begin
+    }
+    apply(props, yoyo && passes % 2 === 0 ? ease(0) : ease(1))
+}